@@ -0,0 +1,117 @@
+/**
+ * Settings and scheduling helpers for the opt-in background organizer.
+ * @module auto_organize
+ */
+
+export const AUTO_ORGANIZE_ALARM = 'auto-organize';
+
+const LAST_RUN_STORAGE_KEY = 'autoOrganizeLastRuns';
+const MIN_INTERVAL_MINUTES = 5;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const AUTO_ORGANIZE_MODES = Object.freeze(['nollm', 'dedupe']);
+
+/** Keys read from chrome.storage.sync, with their defaults. */
+export const AUTO_ORGANIZE_DEFAULTS = Object.freeze({
+  autoOrganizeEnabled: false,
+  autoOrganizeMode: 'nollm',
+  autoOrganizeIntervalMinutes: 0,
+  autoOrganizeTabThreshold: 0,
+  quietHoursStart: '',
+  quietHoursEnd: ''
+});
+
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   mode: 'nollm'|'dedupe',
+ *   intervalMinutes: number,
+ *   tabThreshold: number,
+ *   quietHours: { start: number, end: number } | null
+ * }} AutoOrganizeSettings
+ */
+
+/**
+ * Normalize stored auto-organize preferences. A zero interval or threshold disables that trigger.
+ * @param {Partial<typeof AUTO_ORGANIZE_DEFAULTS>} stored
+ * @returns {AutoOrganizeSettings}
+ */
+export function normalizeAutoOrganizeSettings(stored = {}) {
+  const interval = Math.floor(Number(stored.autoOrganizeIntervalMinutes));
+  const threshold = Math.floor(Number(stored.autoOrganizeTabThreshold));
+  const start = parseClockTime(stored.quietHoursStart);
+  const end = parseClockTime(stored.quietHoursEnd);
+  return {
+    enabled: Boolean(stored.autoOrganizeEnabled),
+    mode: AUTO_ORGANIZE_MODES.includes(stored.autoOrganizeMode) ? stored.autoOrganizeMode : 'nollm',
+    intervalMinutes: Number.isFinite(interval) && interval > 0 ? Math.max(MIN_INTERVAL_MINUTES, interval) : 0,
+    tabThreshold: Number.isFinite(threshold) && threshold > 0 ? threshold : 0,
+    quietHours: start !== null && end !== null && start !== end ? { start, end } : null
+  };
+}
+
+/**
+ * Check whether automatic runs are paused at the given moment. Quiet hours may wrap past midnight.
+ * @param {AutoOrganizeSettings} settings
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isWithinQuietHours(settings, now = new Date()) {
+  if (!settings.quietHours) return false;
+  const { start, end } = settings.quietHours;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Create or clear the periodic alarm so it matches the saved settings.
+ * @param {AutoOrganizeSettings} settings
+ */
+export async function syncAutoOrganizeAlarm(settings) {
+  if (!chrome.alarms) return;
+  const wanted = settings.enabled && settings.intervalMinutes > 0;
+  const existing = await chrome.alarms.get(AUTO_ORGANIZE_ALARM);
+  if (!wanted) {
+    if (existing) {
+      await chrome.alarms.clear(AUTO_ORGANIZE_ALARM);
+    }
+    return;
+  }
+  if (existing && existing.periodInMinutes === settings.intervalMinutes) {
+    return;
+  }
+  await chrome.alarms.create(AUTO_ORGANIZE_ALARM, {
+    delayInMinutes: settings.intervalMinutes,
+    periodInMinutes: settings.intervalMinutes
+  });
+}
+
+/**
+ * Record an automatic run for `key` unless one already happened within `cooldownMs`.
+ * Timestamps live in chrome.storage.session so they survive service worker restarts.
+ * @param {string} key
+ * @param {number} cooldownMs
+ * @returns {Promise<boolean>} Whether the caller may run now.
+ */
+export async function claimAutoRunSlot(key, cooldownMs) {
+  const area = chrome.storage.session || chrome.storage.local;
+  const stored = await area.get({ [LAST_RUN_STORAGE_KEY]: {} });
+  const lastRuns = stored[LAST_RUN_STORAGE_KEY] || {};
+  const now = Date.now();
+  if (typeof lastRuns[key] === 'number' && now - lastRuns[key] < cooldownMs) {
+    return false;
+  }
+  lastRuns[key] = now;
+  await area.set({ [LAST_RUN_STORAGE_KEY]: lastRuns });
+  return true;
+}
+
+/**
+ * Convert "HH:MM" into minutes after midnight.
+ * @param {any} value
+ * @returns {number|null}
+ */
+function parseClockTime(value) {
+  const match = typeof value === 'string' ? TIME_PATTERN.exec(value.trim()) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
@@ -0,0 +1,126 @@
+/**
+ * Group assignments remembered from earlier LLM replies, keyed by canonical URL and title, so a
+ * repeated run only sends the tabs the model has not classified yet. Kept in chrome.storage.local.
+ * @module grouping_cache
+ */
+
+import { canonicalizeUrl } from './tab_utils.js';
+
+const CACHE_STORAGE_KEY = 'llmGroupingCache';
+const MAX_CACHE_ENTRIES = 2000;
+const CACHE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+/** Keys read from chrome.storage.sync, with their defaults. */
+export const GROUPING_CACHE_DEFAULTS = Object.freeze({
+  llmCacheGroupings: true
+});
+
+/**
+ * @typedef {{ group: string|null, usedAt: number }} CachedAssignment
+ * A `null` group records that the model left the tab ungrouped.
+ *
+ * @typedef {{ context: string, entries: Record<string, CachedAssignment> }} GroupingCache
+ */
+
+/**
+ * Describe what a cached assignment depends on. Assignments made for another provider, model, or
+ * prompt are not reused.
+ * @param {{ provider: string, model: string }} config
+ * @param {string} userPrompt
+ * @returns {string}
+ */
+export function describeGroupingCacheContext(config, userPrompt) {
+  return JSON.stringify([config.provider, config.model, (userPrompt || '').trim()]);
+}
+
+/**
+ * Build the cache key of a tab. Tabs whose URL and title canonicalize the same share an entry.
+ * @param {{ url?: string, title?: string }} tab
+ * @returns {string}
+ */
+export function groupingCacheKey(tab) {
+  const url = canonicalizeUrl(tab.url || '') || tab.url || '';
+  const title = typeof tab.title === 'string' ? tab.title.trim() : '';
+  return `${url}\n${title}`;
+}
+
+/**
+ * Load the assignments recorded for `context`, dropping expired ones.
+ * @param {string} context
+ * @param {number} [now]
+ * @returns {Promise<Map<string, CachedAssignment>>}
+ */
+export async function loadGroupingCache(context, now = Date.now()) {
+  const stored = await chrome.storage.local.get(CACHE_STORAGE_KEY);
+  const cache = stored[CACHE_STORAGE_KEY];
+  if (!cache || cache.context !== context || !cache.entries) {
+    return new Map();
+  }
+  return new Map(Object.entries(cache.entries).filter(([, entry]) => now - entry.usedAt < CACHE_TTL_MS));
+}
+
+/**
+ * Split tabs into groups rebuilt from the cache and tabs the model still has to see.
+ * Tabs the model left ungrouped before are only sent again alongside new tabs, since they may
+ * belong with them; when nothing is new, no request is needed at all.
+ * @template {{ id: number, url?: string, title?: string }} T
+ * @param {T[]} tabs
+ * @param {Map<string, CachedAssignment>} cache
+ * @returns {{ cachedGroups: Array<{ name: string, tabIds: number[] }>, pendingTabs: T[] }}
+ */
+export function splitCachedTabs(tabs, cache) {
+  const groups = new Map();
+  const uncached = [];
+  const ungrouped = [];
+  for (const tab of tabs) {
+    const entry = cache.get(groupingCacheKey(tab));
+    if (!entry) {
+      uncached.push(tab);
+    } else if (!entry.group) {
+      ungrouped.push(tab);
+    } else {
+      const key = entry.group.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, { name: entry.group, tabIds: [] });
+      }
+      groups.get(key).tabIds.push(tab.id);
+    }
+  }
+  return {
+    cachedGroups: Array.from(groups.values()),
+    pendingTabs: uncached.length ? [...uncached, ...ungrouped] : []
+  };
+}
+
+/**
+ * Record the group each tab ended up in. Entries from another context are replaced, and the
+ * least recently used entries are dropped beyond `MAX_CACHE_ENTRIES`.
+ * @param {string} context
+ * @param {Array<{ id: number, url?: string, title?: string }>} tabs
+ * @param {Array<{ name: string, tabIds: number[] }>} groups
+ * @param {number} [now]
+ */
+export async function saveGroupingAssignments(context, tabs, groups, now = Date.now()) {
+  const names = new Map();
+  for (const group of groups) {
+    for (const tabId of group.tabIds) {
+      names.set(tabId, group.name);
+    }
+  }
+
+  const entries = await loadGroupingCache(context, now);
+  for (const tab of tabs) {
+    entries.set(groupingCacheKey(tab), { group: names.get(tab.id) || null, usedAt: now });
+  }
+  const kept = Array.from(entries.entries())
+    .sort((a, b) => b[1].usedAt - a[1].usedAt)
+    .slice(0, MAX_CACHE_ENTRIES);
+  await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: { context, entries: Object.fromEntries(kept) } });
+}
+
+/**
+ * Forget every cached assignment.
+ */
+export async function clearGroupingCache() {
+  await chrome.storage.local.remove(CACHE_STORAGE_KEY);
+}
@@ -0,0 +1,169 @@
+import { loadRunHistory, clearRunHistory, describeRunChanges, RUN_MODE_LABELS } from './run_history.js';
+import { describeUsage } from './llm_usage.js';
+
+const listEl = document.getElementById('history-list');
+const clearButton = document.getElementById('clear-history');
+const statusEl = document.getElementById('status');
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+async function renderHistory() {
+  listEl.innerHTML = '';
+  let entries = [];
+  try {
+    entries = await loadRunHistory();
+  } catch (error) {
+    console.error('Failed to load run history', error);
+    setStatus('Unable to load run history.');
+    return;
+  }
+
+  clearButton.disabled = entries.length === 0;
+
+  if (!entries.length) {
+    const empty = document.createElement('p');
+    empty.className = 'history-empty glass-panel';
+    empty.textContent = 'No runs recorded yet. Organize or dedupe your tabs to start the log.';
+    listEl.appendChild(empty);
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    listEl.appendChild(renderEntry(entry, index === 0));
+  });
+}
+
+function renderEntry(entry, expanded) {
+  const details = document.createElement('details');
+  details.className = 'history-entry glass-panel';
+  details.open = expanded;
+
+  const summary = document.createElement('summary');
+  const title = document.createElement('h2');
+  title.className = 'history-title';
+  const modeLabel = RUN_MODE_LABELS[entry.mode] || 'Organizer run';
+  title.textContent = entry.trigger === 'auto' ? `${modeLabel} · automatic` : modeLabel;
+  const meta = document.createElement('p');
+  meta.className = 'history-meta';
+  meta.textContent = `${dateFormatter.format(new Date(entry.timestamp))} · ${describeRunChanges(entry)}`;
+  summary.appendChild(title);
+  summary.appendChild(meta);
+  if (entry.prompt) {
+    const prompt = document.createElement('p');
+    prompt.className = 'history-prompt';
+    prompt.textContent = `“${entry.prompt}”`;
+    summary.appendChild(prompt);
+  }
+  details.appendChild(summary);
+
+  const closed = Array.isArray(entry.closed) ? entry.closed : [];
+  const groupsCreated = Array.isArray(entry.groupsCreated) ? entry.groupsCreated : [];
+  const groupsRemoved = Array.isArray(entry.groupsRemoved) ? entry.groupsRemoved : [];
+  const moved = Array.isArray(entry.moved) ? entry.moved : [];
+
+  if (closed.length) {
+    details.appendChild(
+      renderSection(
+        'Closed tabs',
+        closed.map((tab) => ({
+          className: 'diff-removed',
+          text: `− ${tab.title || tab.url}`,
+          detail: `${tab.url} · ${tab.reason}`
+        }))
+      )
+    );
+  }
+
+  if (groupsCreated.length || groupsRemoved.length) {
+    const items = groupsCreated.map((group) => ({
+      className: 'diff-added',
+      text: `+ ${group.name}${group.color ? ` (${group.color})` : ''}`,
+      detail: group.tabs.map((tab) => tab.title || tab.url).join(', ')
+    }));
+    for (const name of groupsRemoved) {
+      items.push({ className: 'diff-removed', text: `− ${name}`, detail: 'Group removed' });
+    }
+    details.appendChild(renderSection('Tab groups', items));
+  }
+
+  if (moved.length) {
+    details.appendChild(
+      renderSection(
+        'Regrouped tabs',
+        moved.map((tab) => ({
+          className: 'diff-moved',
+          text: `~ ${tab.title || tab.url}`,
+          detail: `${tab.from || 'Ungrouped'} → ${tab.to || 'Ungrouped'}${tab.windowChanged ? ' (moved to another window)' : ''}`
+        }))
+      )
+    );
+  }
+
+  if (!closed.length && !groupsCreated.length && !groupsRemoved.length && !moved.length) {
+    details.appendChild(renderSection('Changes', [{ className: '', text: 'No tabs or groups changed.' }]));
+  }
+
+  if (entry.usage) {
+    const requestCount = entry.usage.requests;
+    details.appendChild(
+      renderSection('LLM usage', [
+        {
+          className: '',
+          text: describeUsage(entry.usage),
+          detail: `${entry.usage.model} · ${requestCount} request${requestCount === 1 ? '' : 's'} · estimated ${entry.usage.estimatedPromptTokens.toLocaleString('en-US')} prompt tokens before sending`
+        }
+      ])
+    );
+  }
+
+  return details;
+}
+
+function renderSection(heading, items) {
+  const section = document.createElement('div');
+  section.className = 'history-section';
+  const title = document.createElement('h3');
+  title.textContent = heading;
+  section.appendChild(title);
+  const list = document.createElement('ul');
+  list.className = 'diff-list';
+  for (const item of items) {
+    const li = document.createElement('li');
+    if (item.className) {
+      li.className = item.className;
+    }
+    li.textContent = item.text;
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'diff-detail';
+      detail.textContent = item.detail;
+      li.appendChild(detail);
+    }
+    list.appendChild(li);
+  }
+  section.appendChild(list);
+  return section;
+}
+
+clearButton.addEventListener('click', async () => {
+  try {
+    await clearRunHistory();
+    setStatus('History cleared.');
+    await renderHistory();
+  } catch (error) {
+    console.error('Failed to clear run history', error);
+    setStatus('Unable to clear history.');
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.runHistory) {
+    renderHistory();
+  }
+});
+
+function setStatus(message) {
+  statusEl.textContent = message;
+}
+
+renderHistory();
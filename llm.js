@@ -1,78 +1,553 @@
 /**
- * Helper utilities for interacting with the OpenAI Chat Completions API.
+ * Helper utilities for talking to the configured language model provider: OpenAI, Azure OpenAI,
+ * Anthropic Messages, or any OpenAI-compatible server such as Ollama, LM Studio, or vLLM.
  * @module llm
  */
 
 export const DEFAULT_MODEL = 'gpt-4o-mini';
+export const DEFAULT_PROVIDER = 'openai';
 const OPENAI_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+const ANTHROPIC_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 4096;
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+const DEFAULT_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+export const DEFAULT_TIMEOUT_SECONDS = 60;
+export const DEFAULT_MAX_RETRIES = 2;
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4;
 
 /**
- * Load the API key and model preference from chrome.storage.sync.
- * @returns {Promise<{apiKey: string, model: string}>}
+ * Published list prices in USD per million input and output tokens, matched by model-name prefix.
+ * Models missing here can be priced in the options page.
  */
-export async function getStoredOpenAIConfig() {
-  const stored = await chrome.storage.sync.get({ apiKey: '', model: DEFAULT_MODEL });
-  const apiKey = typeof stored.apiKey === 'string' ? stored.apiKey.trim() : '';
-  const model = typeof stored.model === 'string' && stored.model.trim() ? stored.model.trim() : DEFAULT_MODEL;
-  return { apiKey, model };
+const MODEL_PRICING = Object.freeze({
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4-turbo': [10, 30],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'o4-mini': [1.1, 4.4],
+  'o3-mini': [1.1, 4.4],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-opus-4': [15, 75],
+  'claude-3-opus': [15, 75]
+});
+
+// OpenAI models released before structured outputs, which reject `json_schema` response formats.
+const NO_STRUCTURED_OUTPUT_MODEL = /^gpt-(3\.5|4)(-turbo|-\d{4}|-32k|$)/;
+
+/**
+ * Providers selectable in the options page. OpenAI keeps its settings in the top-level
+ * `apiKey` and `model` keys; the others live under `providerSettings[id]`.
+ */
+export const LLM_PROVIDERS = Object.freeze({
+  openai: Object.freeze({ label: 'OpenAI', defaultModel: DEFAULT_MODEL, requiresApiKey: true }),
+  azure: Object.freeze({ label: 'Azure OpenAI', defaultModel: '', requiresApiKey: true }),
+  anthropic: Object.freeze({ label: 'Anthropic', defaultModel: 'claude-3-5-haiku-latest', requiresApiKey: true }),
+  compatible: Object.freeze({ label: 'OpenAI-compatible server', defaultModel: 'llama3.1', requiresApiKey: false })
+});
+
+/**
+ * @typedef {{
+ *   provider: keyof typeof LLM_PROVIDERS,
+ *   label: string,
+ *   apiKey: string,
+ *   model: string,
+ *   endpoint: string,
+ *   apiVersion: string,
+ *   timeoutMs: number,
+ *   maxRetries: number,
+ *   inputPricePerMTok: number|null,
+ *   outputPricePerMTok: number|null
+ * }} LLMConfig
+ */
+
+/**
+ * Build the active provider configuration from stored sync settings.
+ * Prices are optional overrides in USD per million tokens; `null` means the built-in price list applies.
+ * @param {{ llmProvider?: string, apiKey?: string, model?: string, providerSettings?: Record<string, any>, llmTimeoutSeconds?: number, llmMaxRetries?: number, llmInputPricePerMTok?: number|string, llmOutputPricePerMTok?: number|string }} stored
+ * @returns {LLMConfig}
+ */
+export function normalizeLLMConfig(stored) {
+  const provider = Object.hasOwn(LLM_PROVIDERS, stored.llmProvider) ? stored.llmProvider : DEFAULT_PROVIDER;
+  const definition = LLM_PROVIDERS[provider];
+  const settings =
+    provider === 'openai'
+      ? { apiKey: stored.apiKey, model: stored.model }
+      : (stored.providerSettings && stored.providerSettings[provider]) || {};
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  return {
+    provider,
+    label: definition.label,
+    apiKey: text(settings.apiKey),
+    model: text(settings.model) || definition.defaultModel,
+    endpoint: text(settings.endpoint).replace(/\/+$/, ''),
+    apiVersion: text(settings.apiVersion) || DEFAULT_AZURE_API_VERSION,
+    timeoutMs: clampInteger(stored.llmTimeoutSeconds, 5, 600, DEFAULT_TIMEOUT_SECONDS) * 1000,
+    maxRetries: clampInteger(stored.llmMaxRetries, 0, 5, DEFAULT_MAX_RETRIES),
+    inputPricePerMTok: parsePrice(stored.llmInputPricePerMTok),
+    outputPricePerMTok: parsePrice(stored.llmOutputPricePerMTok)
+  };
+}
+
+function parsePrice(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function clampInteger(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && value !== '' && value !== null ? Math.min(max, Math.max(min, number)) : fallback;
 }
 
 /**
- * Call the OpenAI Chat Completions API.
- * @param {{ messages: Array<{role: 'system'|'user'|'assistant', content: string}>, model?: string, temperature?: number, signal?: AbortSignal }} params
- * @returns {Promise<any>}
+ * Load the active provider configuration from chrome.storage.sync.
+ * @returns {Promise<LLMConfig>}
+ */
+export async function getStoredLLMConfig() {
+  const stored = await chrome.storage.sync.get({
+    llmProvider: DEFAULT_PROVIDER,
+    apiKey: '',
+    model: DEFAULT_MODEL,
+    providerSettings: {},
+    llmTimeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+    llmMaxRetries: DEFAULT_MAX_RETRIES,
+    llmInputPricePerMTok: '',
+    llmOutputPricePerMTok: ''
+  });
+  return normalizeLLMConfig(stored);
+}
+
+/**
+ * Name the setting that must be filled in before the provider can be called.
+ * @param {LLMConfig} config
+ * @returns {string|null} e.g. "your Anthropic API key", or `null` when the provider is ready.
+ */
+export function findMissingLLMSetting(config) {
+  if (LLM_PROVIDERS[config.provider].requiresApiKey && !config.apiKey) {
+    return `your ${config.label} API key`;
+  }
+  if (config.provider === 'azure' && (!config.endpoint || !config.model)) {
+    return 'your Azure OpenAI endpoint and deployment name';
+  }
+  return null;
+}
+
+/**
+ * Call the configured provider with a chat-style request that should return JSON.
+ * With a `schema`, OpenAI, Azure OpenAI, and compatible servers use structured outputs and
+ * Anthropic is made to answer through a tool that takes the schema as input.
+ * Each attempt is cut off after `config.timeoutMs`. Timeouts, network errors, 429s, and 5xx
+ * responses are retried up to `config.maxRetries` times with exponential backoff, waiting as long
+ * as `Retry-After` asks when the provider sends it. Aborting `signal` cancels the request and any
+ * pending retry.
+ * @param {{ messages: Array<{role: 'system'|'user'|'assistant', content: string}>, model?: string, temperature?: number, signal?: AbortSignal, config?: LLMConfig, schema?: { name: string, schema: object } }} params
+ * @returns {Promise<any>} The provider's raw response; read it with `extractMessageContent`.
  */
 export async function requestChatCompletion(params) {
-  const { messages, model: explicitModel, temperature = 0.2, signal } = params;
+  const { messages, model: explicitModel, temperature = 0.2, signal, schema } = params;
   if (!Array.isArray(messages) || messages.length === 0) {
     throw new Error('Missing messages for chat completion request.');
   }
 
-  const { apiKey, model } = await getStoredOpenAIConfig();
-  if (!apiKey) {
-    throw new Error('OpenAI API key is not set. Please open the extension options and add it.');
+  const config = params.config || (await getStoredLLMConfig());
+  const missing = findMissingLLMSetting(config);
+  if (missing) {
+    throw new Error(`Add ${missing} in the extension options before organizing.`);
   }
 
-  const payload = {
-    model: explicitModel || model || DEFAULT_MODEL,
-    messages,
-    temperature,
-    response_format: { type: 'json_object' }
+  const model = explicitModel || config.model;
+  let request = buildProviderRequest(config, { messages, model, temperature, schema });
+  const init = {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...request.headers },
+    body: JSON.stringify(request.body)
   };
 
-  const response = await fetch(OPENAI_ENDPOINT, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(payload),
-    signal
+  for (let attempt = 0; ; attempt += 1) {
+    const outcome = await fetchWithTimeout(request.url, init, config.timeoutMs, signal);
+    if (outcome.payload !== undefined) {
+      return outcome.payload;
+    }
+
+    if (rejectsStructuredOutput(request, outcome)) {
+      // Deployments and servers whose model cannot take a schema get one more try in plain JSON mode.
+      console.warn(`[Tab Organizer AI] ${config.label} rejected the response schema. Retrying without it.`);
+      request = buildProviderRequest(config, { messages, model, temperature });
+      init.body = JSON.stringify(request.body);
+      attempt -= 1;
+      continue;
+    }
+
+    const error = describeFailedAttempt(config, outcome);
+    const retryable = outcome.response ? RETRYABLE_STATUSES.has(outcome.response.status) : !outcome.invalidBody;
+    const retryAfterMs = outcome.response ? parseRetryAfter(outcome.response.headers.get('retry-after')) : null;
+    if (!retryable || attempt >= config.maxRetries || retryAfterMs > MAX_RETRY_DELAY_MS) {
+      throw error;
+    }
+    const delayMs = retryAfterMs ?? Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt) * (0.75 + Math.random() / 2);
+    console.warn(`[Tab Organizer AI] ${error.message} Retrying in ${Math.round(delayMs / 1000)}s.`);
+    await waitForRetry(delayMs, signal);
+  }
+}
+
+/**
+ * Check whether a request failed because the model does not support `json_schema` response formats.
+ * @param {{ body: any }} request
+ * @param {{ response?: Response, errorText?: string }} outcome
+ * @returns {boolean}
+ */
+function rejectsStructuredOutput(request, outcome) {
+  const format = request.body.response_format;
+  return Boolean(
+    format &&
+      format.type === 'json_schema' &&
+      outcome.response &&
+      outcome.response.status === 400 &&
+      /response_format|json_schema/i.test(outcome.errorText || '')
+  );
+}
+
+/**
+ * Run one request attempt, reading the body before the timeout fires.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeoutMs
+ * @param {AbortSignal|undefined} signal
+ * @returns {Promise<{ payload?: any, response?: Response, errorText?: string, timedOut?: boolean, networkError?: Error, invalidBody?: Error }>}
+ */
+async function fetchWithTimeout(url, init, timeoutMs, signal) {
+  throwIfCancelled(signal);
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (response.ok) {
+      return readPayload(await response.text());
+    }
+    return { response, errorText: await response.text() };
+  } catch (error) {
+    throwIfCancelled(signal);
+    return timedOut ? { timedOut: true } : { networkError: error };
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Parse a successful response body. A body that is not JSON is reported apart from network
+ * failures, since sending the same request again would not fix it.
+ * @param {string} text
+ * @returns {{ payload: any }|{ invalidBody: Error }}
+ */
+function readPayload(text) {
+  try {
+    return { payload: JSON.parse(text) };
+  } catch (error) {
+    return { invalidBody: error };
+  }
+}
+
+function describeFailedAttempt(config, outcome) {
+  if (outcome.invalidBody) {
+    return new Error(`${config.label} returned an invalid response: ${outcome.invalidBody.message}`);
+  }
+  if (outcome.timedOut) {
+    return new Error(`${config.label} did not respond within ${Math.round(config.timeoutMs / 1000)} seconds.`);
+  }
+  if (outcome.networkError) {
+    return new Error(`Unable to reach ${config.label}: ${outcome.networkError.message}`);
+  }
+  const { response, errorText } = outcome;
+  return new Error(`${config.label} request failed: ${response.status} ${response.statusText} - ${errorText}`);
+}
+
+/**
+ * Read a `Retry-After` header given in seconds or as an HTTP date.
+ * @param {string|null} value
+ * @returns {number|null} Milliseconds to wait, or `null` when absent or unreadable.
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+      resolve();
+    }, delayMs);
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
   });
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI request failed: ${response.status} ${response.statusText} - ${errorText}`);
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancelledError();
   }
+}
 
-  return response.json();
+function createCancelledError() {
+  const error = new Error('The request was cancelled.');
+  error.name = 'AbortError';
+  return error;
 }
 
 /**
- * Parse the primary message content from a chat completion result.
+ * List the models an OpenAI-compatible server offers, which also proves it is reachable.
+ * @param {LLMConfig} config
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string[]>} Model ids, sorted.
+ */
+export async function listAvailableModels(config, options = {}) {
+  if (config.provider !== 'compatible') {
+    throw new Error(`Listing models is not supported for ${config.label}.`);
+  }
+  const response = await fetch(`${config.endpoint || DEFAULT_COMPATIBLE_BASE_URL}/models`, {
+    headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+    signal: options.signal
+  });
+  if (!response.ok) {
+    throw new Error(`${config.label} responded with ${response.status} ${response.statusText}.`);
+  }
+  const payload = await response.json();
+  const models = payload && Array.isArray(payload.data) ? payload.data : [];
+  return models
+    .map((model) => (model && typeof model.id === 'string' ? model.id : ''))
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Parse the primary message content from a Chat Completions or Anthropic Messages response.
+ * A Markdown code fence around the JSON is removed, and an Anthropic tool call is returned as JSON.
  * @param {any} completion
  * @returns {string}
  */
 export function extractMessageContent(completion) {
-  const choices = completion && Array.isArray(completion.choices) ? completion.choices : [];
-  const choice = choices[0];
-  if (!choice) {
-    throw new Error('Unexpected OpenAI response format.');
+  let content;
+  if (completion && Array.isArray(completion.choices)) {
+    const choice = completion.choices[0];
+    const message = choice && choice.message ? choice.message : null;
+    content = message && typeof message.content === 'string' ? message.content : undefined;
+  } else if (completion && Array.isArray(completion.content)) {
+    const toolUse = completion.content.find((block) => block && block.type === 'tool_use');
+    content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : completion.content
+          .filter((block) => block && block.type === 'text' && typeof block.text === 'string')
+          .map((block) => block.text)
+          .join('');
+  } else {
+    throw new Error('Unexpected language model response format.');
   }
-  const message = choice.message ? choice.message : null;
-  const content = message && typeof message.content === 'string' ? message.content : undefined;
   if (typeof content !== 'string' || !content.trim()) {
-    throw new Error('OpenAI response did not include content.');
+    throw new Error('The language model response did not include content.');
+  }
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(content.trim());
+  return (fenced ? fenced[1] : content).trim();
+}
+
+/**
+ * Read token usage from a Chat Completions (`prompt_tokens`) or Anthropic Messages (`input_tokens`) response.
+ * @param {any} completion
+ * @returns {{ promptTokens: number, completionTokens: number }|null} `null` when the provider reported no usage.
+ */
+export function extractUsage(completion) {
+  const usage = completion && completion.usage;
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+  const promptTokens = Number(usage.prompt_tokens !== undefined ? usage.prompt_tokens : usage.input_tokens);
+  const completionTokens = Number(usage.completion_tokens !== undefined ? usage.completion_tokens : usage.output_tokens);
+  if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+    return null;
+  }
+  return {
+    promptTokens: Number.isFinite(promptTokens) ? promptTokens : 0,
+    completionTokens: Number.isFinite(completionTokens) ? completionTokens : 0
+  };
+}
+
+/**
+ * Roughly count the prompt tokens of a request, at about four characters per token plus a small
+ * overhead per message. Real tokenizers differ by model, so treat the result as an estimate.
+ * @param {Array<{ role: string, content: string }>} messages
+ * @returns {number}
+ */
+export function estimatePromptTokens(messages) {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + Math.ceil(String(message.content || '').length / CHARS_PER_TOKEN),
+    0
+  );
+}
+
+/**
+ * Find the price of the configured model in USD per million tokens. Price overrides from the
+ * options page win; servers on localhost are free; unknown models have no price.
+ * @param {LLMConfig} config
+ * @returns {{ input: number, output: number }|null}
+ */
+export function findModelPricing(config) {
+  if (config.inputPricePerMTok !== null || config.outputPricePerMTok !== null) {
+    return { input: config.inputPricePerMTok || 0, output: config.outputPricePerMTok || 0 };
+  }
+  if (config.provider === 'compatible' && isLocalEndpoint(config.endpoint || DEFAULT_COMPATIBLE_BASE_URL)) {
+    return { input: 0, output: 0 };
+  }
+  const model = (config.model || '').toLowerCase();
+  const match = Object.keys(MODEL_PRICING)
+    .filter((prefix) => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? { input: MODEL_PRICING[match][0], output: MODEL_PRICING[match][1] } : null;
+}
+
+/**
+ * Price a number of tokens for the configured model.
+ * @param {LLMConfig} config
+ * @param {{ promptTokens: number, completionTokens: number }} usage
+ * @returns {number|null} USD, or `null` when the model has no known price.
+ */
+export function estimateCost(config, usage) {
+  const pricing = findModelPricing(config);
+  if (!pricing) {
+    return null;
+  }
+  return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1e6;
+}
+
+function isLocalEndpoint(endpoint) {
+  try {
+    const { hostname } = new URL(endpoint);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]' || hostname.endsWith('.localhost');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse JSON from model output, falling back to a fenced block or the outermost `{…}` span
+ * when the model wrapped the JSON in prose.
+ * @param {string} content
+ * @returns {any} The parsed value, or `null` when no JSON could be found.
+ */
+export function parseJsonContent(content) {
+  const candidates = [content];
+  for (const match of content.matchAll(/```(?:json)?\s*([\s\S]*?)```/gi)) {
+    candidates.push(match[1]);
+  }
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(content.slice(start, end + 1));
+  }
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate.trim());
+    } catch (error) {
+      // Try the next candidate.
+    }
+  }
+  return null;
+}
+
+/**
+ * Translate a request into the URL, headers, and body a provider expects. Models known to predate
+ * structured outputs get plain JSON mode instead of the schema.
+ * @param {LLMConfig} config
+ * @param {{ messages: Array<{role: string, content: string}>, model: string, temperature: number, schema?: { name: string, schema: object } }} request
+ * @returns {{ url: string, headers: Record<string, string>, body: any }}
+ */
+function buildProviderRequest(config, request) {
+  const { messages, model, temperature } = request;
+  const schema = NO_STRUCTURED_OUTPUT_MODEL.test(model) ? null : request.schema;
+  const responseFormat = schema
+    ? { type: 'json_schema', json_schema: { name: schema.name, strict: true, schema: schema.schema } }
+    : { type: 'json_object' };
+  switch (config.provider) {
+    case 'azure':
+      return {
+        url: `${config.endpoint}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(
+          config.apiVersion
+        )}`,
+        headers: { 'api-key': config.apiKey },
+        body: { messages, temperature, response_format: responseFormat }
+      };
+    case 'anthropic': {
+      const body = {
+        model,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        temperature,
+        system: messages
+          .filter((message) => message.role === 'system')
+          .map((message) => message.content)
+          .join('\n\n'),
+        messages: messages.filter((message) => message.role !== 'system')
+      };
+      if (schema) {
+        body.tools = [{ name: schema.name, description: 'Submit the answer.', input_schema: schema.schema }];
+        body.tool_choice = { type: 'tool', name: schema.name };
+      }
+      return {
+        url: ANTHROPIC_ENDPOINT,
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body
+      };
+    }
+    case 'compatible':
+      // Local servers disagree on `json_object`, while Ollama, LM Studio, and vLLM all accept a schema.
+      return {
+        url: `${config.endpoint || DEFAULT_COMPATIBLE_BASE_URL}/chat/completions`,
+        headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+        body: schema ? { model, messages, temperature, response_format: responseFormat } : { model, messages, temperature }
+      };
+    default:
+      return {
+        url: OPENAI_ENDPOINT,
+        headers: { Authorization: `Bearer ${config.apiKey}` },
+        body: { model, messages, temperature, response_format: responseFormat }
+      };
   }
-  return content.trim();
 }
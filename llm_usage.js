@@ -0,0 +1,112 @@
+/**
+ * Token and cost accounting for LLM requests, kept per calendar month for the optional budget cap.
+ * @module llm_usage
+ */
+
+const USAGE_STORAGE_KEY = 'llmUsage';
+
+/** Keys read from chrome.storage.sync, with their defaults. A budget of 0 means no cap. */
+export const BUDGET_DEFAULTS = Object.freeze({
+  llmMonthlyBudget: 0
+});
+
+/**
+ * @typedef {{
+ *   requests: number,
+ *   estimatedPromptTokens: number,
+ *   promptTokens: number,
+ *   completionTokens: number,
+ *   cost: number,
+ *   unpricedRequests: number
+ * }} UsageTotals
+ */
+
+/**
+ * Normalize the stored monthly budget in USD.
+ * @param {any} value
+ * @returns {number} 0 when no budget is set.
+ */
+export function normalizeMonthlyBudget(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number * 100) / 100 : 0;
+}
+
+/**
+ * @returns {UsageTotals}
+ */
+export function createUsageTotals() {
+  return { requests: 0, estimatedPromptTokens: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+/**
+ * Add one request to running totals.
+ * @param {UsageTotals} totals
+ * @param {{ estimatedPromptTokens?: number, promptTokens?: number, completionTokens?: number, cost: number|null }} request
+ *   A `null` cost means the model has no known price; the request is counted but adds nothing to the cost.
+ */
+export function addUsage(totals, request) {
+  totals.requests += 1;
+  totals.estimatedPromptTokens += request.estimatedPromptTokens || 0;
+  totals.promptTokens += request.promptTokens || 0;
+  totals.completionTokens += request.completionTokens || 0;
+  if (typeof request.cost === 'number') {
+    totals.cost += request.cost;
+  } else {
+    totals.unpricedRequests += 1;
+  }
+}
+
+/**
+ * Load the usage recorded so far this month.
+ * @param {Date} [now]
+ * @returns {Promise<UsageTotals & { month: string }>}
+ */
+export async function loadMonthlyUsage(now = new Date()) {
+  const month = formatMonth(now);
+  const stored = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+  const record = stored[USAGE_STORAGE_KEY];
+  if (!record || record.month !== month) {
+    return { month, ...createUsageTotals() };
+  }
+  return { ...createUsageTotals(), ...record };
+}
+
+/**
+ * Add one request to this month's usage. A new month starts from zero.
+ * @param {Parameters<typeof addUsage>[1]} request
+ * @param {Date} [now]
+ */
+export async function recordMonthlyUsage(request, now = new Date()) {
+  const usage = await loadMonthlyUsage(now);
+  addUsage(usage, request);
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: usage });
+}
+
+/**
+ * Format a USD amount, keeping fractions of a cent visible.
+ * @param {number} cost
+ * @returns {string}
+ */
+export function formatCost(cost) {
+  if (cost > 0 && cost < 0.01) {
+    return `$${cost.toFixed(4)}`;
+  }
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Describe run totals, e.g. "1,240 prompt + 180 completion tokens (≈ $0.0003)".
+ * @param {UsageTotals} totals
+ * @returns {string}
+ */
+export function describeUsage(totals) {
+  const tokens = `${totals.promptTokens.toLocaleString('en-US')} prompt + ${totals.completionTokens.toLocaleString('en-US')} completion tokens`;
+  if (totals.unpricedRequests === totals.requests) {
+    return `${tokens} (cost unknown for this model)`;
+  }
+  return `${tokens} (≈ ${formatCost(totals.cost)})`;
+}
+
+function formatMonth(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
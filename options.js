@@ -1,18 +1,61 @@
-import { DEFAULT_MODEL } from './llm.js';
-import { parseUserRulesJSON } from './tab_utils.js';
+import {
+  DEFAULT_MODEL,
+  DEFAULT_PROVIDER,
+  normalizeLLMConfig,
+  findMissingLLMSetting,
+  findModelPricing,
+  listAvailableModels,
+  DEFAULT_TIMEOUT_SECONDS,
+  DEFAULT_MAX_RETRIES
+} from './llm.js';
+import { parseUserRulesJSON, normalizeExcludedSites } from './tab_utils.js';
+import { AUTO_ORGANIZE_DEFAULTS, normalizeAutoOrganizeSettings } from './auto_organize.js';
+import { PRIVACY_DEFAULTS, normalizePrivacySettings, parseDomainList } from './privacy.js';
+import { GROUPING_CACHE_DEFAULTS, clearGroupingCache } from './grouping_cache.js';
+import { BUDGET_DEFAULTS, normalizeMonthlyBudget, loadMonthlyUsage, describeUsage, formatCost } from './llm_usage.js';
 
 const form = document.getElementById('options-form');
 const statusEl = document.getElementById('status');
+const usageStatusEl = document.getElementById('usage-status');
+const clearGroupingCacheButton = document.getElementById('clear-grouping-cache');
+
+const providerSelect = document.getElementById('llmProvider');
+const providerSections = document.querySelectorAll('.provider-settings');
+const testConnectionButton = document.getElementById('test-connection');
+const connectionStatusEl = document.getElementById('connection-status');
+const compatibleModelList = document.getElementById('compatible-models');
+const CONNECTION_TEST_TIMEOUT_MS = 5000;
+
+// Form fields holding the settings of each non-OpenAI provider, keyed by setting name.
+const PROVIDER_FIELDS = {
+  azure: { endpoint: 'azureEndpoint', model: 'azureModel', apiVersion: 'azureApiVersion', apiKey: 'azureApiKey' },
+  anthropic: { apiKey: 'anthropicApiKey', model: 'anthropicModel' },
+  compatible: { endpoint: 'compatibleEndpoint', model: 'compatibleModel', apiKey: 'compatibleApiKey' }
+};
 
 const DEFAULTS = {
+  llmProvider: DEFAULT_PROVIDER,
   apiKey: '',
   model: DEFAULT_MODEL,
+  providerSettings: {},
+  llmTimeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+  llmMaxRetries: DEFAULT_MAX_RETRIES,
+  llmInputPricePerMTok: '',
+  llmOutputPricePerMTok: '',
+  llmGroupingStrategy: 'llm',
   keepAtLeastOnePerDomain: true,
   preservePinned: true,
   maxTabsPerGroup: 6,
   dryRun: false,
   dryRunNoLLM: false,
-  userRulesJSON: ''
+  userRulesJSON: '',
+  incrementalGroups: false,
+  excludedSites: [],
+  liveSorting: false,
+  ...AUTO_ORGANIZE_DEFAULTS,
+  ...PRIVACY_DEFAULTS,
+  ...BUDGET_DEFAULTS,
+  ...GROUPING_CACHE_DEFAULTS
 };
 
 const RULES_EXAMPLE = `[
@@ -32,11 +75,43 @@ async function restoreOptions() {
     const stored = await chrome.storage.sync.get(DEFAULTS);
     form.apiKey.value = typeof stored.apiKey === 'string' ? stored.apiKey : '';
     form.model.value = typeof stored.model === 'string' ? stored.model : DEFAULT_MODEL;
+    const llmConfig = normalizeLLMConfig(stored);
+    providerSelect.value = llmConfig.provider;
+    form.llmTimeoutSeconds.value = llmConfig.timeoutMs / 1000;
+    form.llmMaxRetries.value = llmConfig.maxRetries;
+    form.llmGroupingStrategy.value = stored.llmGroupingStrategy === 'hybrid' ? 'hybrid' : 'llm';
+    form.llmInputPricePerMTok.value = llmConfig.inputPricePerMTok ?? '';
+    form.llmOutputPricePerMTok.value = llmConfig.outputPricePerMTok ?? '';
+    form.llmMonthlyBudget.value = normalizeMonthlyBudget(stored.llmMonthlyBudget) || '';
+    renderUsageStatus(normalizeMonthlyBudget(stored.llmMonthlyBudget));
+    form.llmCacheGroupings.checked = stored.llmCacheGroupings !== false;
+    const providerSettings = stored.providerSettings || {};
+    for (const [provider, fields] of Object.entries(PROVIDER_FIELDS)) {
+      const settings = providerSettings[provider] || {};
+      for (const [key, fieldName] of Object.entries(fields)) {
+        form[fieldName].value = typeof settings[key] === 'string' ? settings[key] : '';
+      }
+    }
+    showProviderSettings();
+    const privacy = normalizePrivacySettings(stored);
+    form.llmUrlDetail.value = privacy.urlDetail;
+    form.llmMaskedDomains.value = privacy.maskedDomains.join('\n');
+    form.llmTitlelessDomains.value = privacy.titlelessDomains.join('\n');
     form.keepDomain.checked = stored.keepAtLeastOnePerDomain !== false;
     form.preservePinned.checked = stored.preservePinned !== false;
     form.maxTabs.value = Number.isFinite(Number(stored.maxTabsPerGroup)) ? stored.maxTabsPerGroup : DEFAULTS.maxTabsPerGroup;
     form.dryRun.checked = Boolean(stored.dryRun);
     form.dryRunNoLLM.checked = Boolean(stored.dryRunNoLLM);
+    form.incrementalGroups.checked = Boolean(stored.incrementalGroups);
+    form.excludedSites.value = normalizeExcludedSites(stored.excludedSites).join('\n');
+    form.liveSorting.checked = Boolean(stored.liveSorting);
+    const autoSettings = normalizeAutoOrganizeSettings(stored);
+    form.autoOrganizeEnabled.checked = autoSettings.enabled;
+    form.autoOrganizeMode.value = autoSettings.mode;
+    form.autoOrganizeInterval.value = autoSettings.intervalMinutes || '';
+    form.autoOrganizeThreshold.value = autoSettings.tabThreshold || '';
+    form.quietHoursStart.value = typeof stored.quietHoursStart === 'string' ? stored.quietHoursStart : '';
+    form.quietHoursEnd.value = typeof stored.quietHoursEnd === 'string' ? stored.quietHoursEnd : '';
     const rulesValue = typeof stored.userRulesJSON === 'string' ? stored.userRulesJSON.trim() : '';
     form.userRules.value = rulesValue || RULES_EXAMPLE;
     setStatus('');
@@ -76,18 +151,77 @@ form.addEventListener('submit', async (event) => {
     }
   }
 
-  const payload = {
+  const providerSettings = {};
+  for (const [provider, fields] of Object.entries(PROVIDER_FIELDS)) {
+    providerSettings[provider] = {};
+    for (const [key, fieldName] of Object.entries(fields)) {
+      providerSettings[provider][key] = form[fieldName].value.trim();
+    }
+  }
+  const llmSettings = {
+    llmProvider: providerSelect.value,
     apiKey: form.apiKey.value.trim(),
     model: form.model.value.trim() || DEFAULT_MODEL,
+    providerSettings,
+    llmTimeoutSeconds: form.llmTimeoutSeconds.value,
+    llmMaxRetries: form.llmMaxRetries.value,
+    llmInputPricePerMTok: form.llmInputPricePerMTok.value,
+    llmOutputPricePerMTok: form.llmOutputPricePerMTok.value
+  };
+  const llmConfig = normalizeLLMConfig(llmSettings);
+  llmSettings.llmTimeoutSeconds = llmConfig.timeoutMs / 1000;
+  llmSettings.llmMaxRetries = llmConfig.maxRetries;
+  llmSettings.llmInputPricePerMTok = llmConfig.inputPricePerMTok ?? '';
+  llmSettings.llmOutputPricePerMTok = llmConfig.outputPricePerMTok ?? '';
+  const missingSetting = findMissingLLMSetting(llmConfig);
+  if (missingSetting) {
+    setStatus(`Add ${missingSetting} before saving.`);
+    return;
+  }
+
+  // Requests to a model without a price cost nothing in the monthly total, so a budget would never take effect.
+  if (normalizeMonthlyBudget(form.llmMonthlyBudget.value) && !findModelPricing(llmConfig)) {
+    setStatus(`Enter input and output prices for ${llmConfig.model} to use a monthly budget.`);
+    return;
+  }
+
+  const autoSettings = normalizeAutoOrganizeSettings({
+    autoOrganizeEnabled: form.autoOrganizeEnabled.checked,
+    autoOrganizeIntervalMinutes: form.autoOrganizeInterval.value,
+    autoOrganizeTabThreshold: form.autoOrganizeThreshold.value
+  });
+  if (autoSettings.enabled && !autoSettings.intervalMinutes && !autoSettings.tabThreshold) {
+    setStatus('Set an interval or a tab count for automatic organize.');
+    return;
+  }
+
+  const payload = {
+    ...llmSettings,
     keepAtLeastOnePerDomain: form.keepDomain.checked,
     preservePinned: form.preservePinned.checked,
     maxTabsPerGroup: maxTabsValue,
     dryRun: form.dryRun.checked,
     dryRunNoLLM: form.dryRunNoLLM.checked,
-    userRulesJSON
+    userRulesJSON,
+    incrementalGroups: form.incrementalGroups.checked,
+    excludedSites: normalizeExcludedSites(form.excludedSites.value),
+    liveSorting: form.liveSorting.checked,
+    llmUrlDetail: form.llmUrlDetail.value,
+    llmMaskedDomains: parseDomainList(form.llmMaskedDomains.value),
+    llmTitlelessDomains: parseDomainList(form.llmTitlelessDomains.value),
+    autoOrganizeEnabled: autoSettings.enabled,
+    autoOrganizeMode: form.autoOrganizeMode.value,
+    autoOrganizeIntervalMinutes: autoSettings.intervalMinutes,
+    autoOrganizeTabThreshold: autoSettings.tabThreshold,
+    quietHoursStart: form.quietHoursStart.value,
+    quietHoursEnd: form.quietHoursEnd.value,
+    llmMonthlyBudget: normalizeMonthlyBudget(form.llmMonthlyBudget.value),
+    llmCacheGroupings: form.llmCacheGroupings.checked,
+    llmGroupingStrategy: form.llmGroupingStrategy.value
   };
   try {
     await chrome.storage.sync.set(payload);
+    renderUsageStatus(payload.llmMonthlyBudget);
     setStatus('Settings saved.');
   } catch (error) {
     console.error('Failed to save options', error);
@@ -95,6 +229,71 @@ form.addEventListener('submit', async (event) => {
   }
 });
 
+providerSelect.addEventListener('change', showProviderSettings);
+
+clearGroupingCacheButton.addEventListener('click', async () => {
+  try {
+    await clearGroupingCache();
+    setStatus('Cached groupings cleared. The next LLM run sends every tab.');
+  } catch (error) {
+    console.error('Failed to clear grouping cache', error);
+    setStatus('Unable to clear cached groupings.');
+  }
+});
+
+testConnectionButton.addEventListener('click', async () => {
+  const config = normalizeLLMConfig({
+    llmProvider: 'compatible',
+    providerSettings: {
+      compatible: { endpoint: form.compatibleEndpoint.value, apiKey: form.compatibleApiKey.value }
+    }
+  });
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONNECTION_TEST_TIMEOUT_MS);
+  testConnectionButton.disabled = true;
+  connectionStatusEl.textContent = 'Connecting…';
+  try {
+    const models = await listAvailableModels(config, { signal: controller.signal });
+    compatibleModelList.innerHTML = '';
+    for (const model of models) {
+      compatibleModelList.appendChild(new Option(model, model));
+    }
+    connectionStatusEl.textContent = models.length
+      ? `Connected. Available models: ${models.join(', ')}`
+      : 'Connected, but the server did not list any models.';
+  } catch (error) {
+    console.warn('Connection test failed', error);
+    connectionStatusEl.textContent =
+      error.name === 'AbortError' ? 'The server did not answer within 5 seconds.' : `Unable to connect: ${error.message}`;
+  } finally {
+    clearTimeout(timeout);
+    testConnectionButton.disabled = false;
+  }
+});
+
+function showProviderSettings() {
+  for (const section of providerSections) {
+    section.hidden = section.dataset.provider !== providerSelect.value;
+  }
+}
+
+/**
+ * Show this month's recorded LLM usage next to the budget.
+ * @param {number} budget 0 when no budget is set.
+ */
+async function renderUsageStatus(budget) {
+  try {
+    const usage = await loadMonthlyUsage();
+    const spent = usage.requests
+      ? `This month: ${usage.requests} request${usage.requests === 1 ? '' : 's'}, ${describeUsage(usage)}.`
+      : 'No LLM requests this month.';
+    usageStatusEl.textContent = budget ? `${spent} Budget: ${formatCost(usage.cost)} of ${formatCost(budget)} used.` : spent;
+  } catch (error) {
+    console.warn('Unable to load LLM usage', error);
+    usageStatusEl.textContent = '';
+  }
+}
+
 function setStatus(message) {
   statusEl.textContent = message;
 }
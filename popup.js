@@ -1,22 +1,49 @@
+import { loadUndoSnapshot } from './undo.js';
+import { LOCKED_GROUP_MARKER, isLockedGroupTitle, normalizeLockedGroupTitles } from './tab_utils.js';
+import { createPreviewDraft, renderPreviewEditor, collectPlanEdits } from './preview_editor.js';
+import { formatCost } from './llm_usage.js';
+
 const form = document.getElementById('organize-form');
 const textarea = document.getElementById('organize-input');
 const llmButton = document.getElementById('organize-llm');
+const cancelLlmButton = document.getElementById('cancel-llm');
 const noLlmButton = document.getElementById('organize-nollm');
 const closeDuplicatesButton = document.getElementById('close-duplicates');
+const undoButton = document.getElementById('undo-last-run');
 const settingsButton = document.getElementById('open-settings');
+const historyButton = document.getElementById('open-history');
 const dryRunNoLlmCheckbox = document.getElementById('dryRunNoLLM');
+const scopeSelect = document.getElementById('organize-scope');
+const consolidateButton = document.getElementById('consolidate-windows');
+const consolidateDestinationSelect = document.getElementById('consolidate-destination');
+const consolidateEngineSelect = document.getElementById('consolidate-engine');
 const statusEl = document.getElementById('status');
 const previewSection = document.getElementById('preview');
 const previewContent = document.getElementById('preview-content');
+const previewDrift = document.getElementById('preview-drift');
+const lockedGroupsSection = document.getElementById('locked-groups');
+const lockedGroupList = document.getElementById('locked-group-list');
+const llmPayloadSection = document.getElementById('llm-payload');
+const llmPayloadHint = document.getElementById('llm-payload-hint');
+const llmPayloadContent = document.getElementById('llm-payload-content');
 const tooltipTrigger = document.querySelector('.tooltip-trigger');
 const tooltipBubble = document.getElementById('dry-run-tooltip');
 
 let awaitingConfirmation = false;
+let noLlmAwaitingConfirmation = false;
+let noLlmPreviewToken = null;
+let previewDraft = null;
+let acceptDrift = false;
 let previewToken = null;
 let previewPromptValue = '';
+let previewScopeValue = '';
 let cachedUserRules = '';
 let llmDryRunPreference = false;
 let tooltipVisible = false;
+let undoLabel = null;
+let consolidationToken = null;
+let currentWindowId = null;
+let lockedGroupTitles = [];
 
 initializePopup();
 
@@ -54,17 +81,37 @@ if (settingsButton) {
   });
 }
 
+if (historyButton) {
+  historyButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+}
+
 form.addEventListener('submit', async (event) => {
   event.preventDefault();
 
-  if (awaitingConfirmation && textarea.value.trim() !== previewPromptValue) {
+  if (
+    consolidationToken ||
+    noLlmAwaitingConfirmation ||
+    (awaitingConfirmation &&
+      (textarea.value.trim() !== previewPromptValue || scopeSelect.value !== previewScopeValue))
+  ) {
     resetPreview();
   }
 
   const confirm = awaitingConfirmation;
   const prompt = textarea.value.trim();
 
+  let edits;
+  try {
+    edits = confirm && previewDraft ? collectPlanEdits(previewDraft) : undefined;
+  } catch (error) {
+    setStatus(error.message);
+    return;
+  }
+
   setLLMWorkingState(true, confirm ? 'Applying…' : 'Organizing…');
+  showCancelButton(!confirm);
 
   try {
     try {
@@ -79,7 +126,10 @@ form.addEventListener('submit', async (event) => {
       prompt,
       confirm,
       token: confirm ? previewToken : undefined,
-      dryRun: llmDryRunPreference
+      edits,
+      acceptDrift: confirm && acceptDrift,
+      dryRun: llmDryRunPreference,
+      scope: getSelectedScope()
     });
 
     if (!response) {
@@ -90,8 +140,19 @@ form.addEventListener('submit', async (event) => {
       throw new Error(response.error || 'Unable to organize tabs.');
     }
 
+    if (response.stale) {
+      showDriftNotice(response, () => form.requestSubmit());
+      llmButton.textContent = 'Apply anyway';
+      return;
+    }
+
+    if (response.fallback === 'nollm') {
+      showNoLlmResult(response);
+      return;
+    }
+
     if (response.preview) {
-      const hasPlannedChanges = renderPreview(response.summary);
+      const hasPlannedChanges = renderEditablePreview(response.summary);
 
       if (!hasPlannedChanges) {
         resetPreview();
@@ -102,6 +163,7 @@ form.addEventListener('submit', async (event) => {
       previewToken = response.token;
       awaitingConfirmation = true;
       previewPromptValue = prompt;
+      previewScopeValue = scopeSelect.value;
       setStatus(response.message || 'Review the plan and confirm.');
       llmButton.textContent = 'Apply plan';
       return;
@@ -113,13 +175,27 @@ form.addEventListener('submit', async (event) => {
     console.error('Popup organize error', error);
     setStatus(error.message || 'Unexpected error.');
   } finally {
+    showCancelButton(false);
     setLLMWorkingState(false);
+    refreshUndoState();
   }
 });
 
 noLlmButton.addEventListener('click', async () => {
-  resetPreview();
-  setNoLLMWorkingState(true);
+  const confirm = noLlmAwaitingConfirmation;
+  const token = noLlmPreviewToken;
+  let edits;
+  try {
+    edits = confirm ? collectPlanEdits(previewDraft) : undefined;
+  } catch (error) {
+    setStatus(error.message);
+    return;
+  }
+
+  if (!confirm) {
+    resetPreview();
+  }
+  setNoLLMWorkingState(true, confirm ? 'Applying…' : 'Organizing…');
 
   try {
     try {
@@ -140,7 +216,12 @@ noLlmButton.addEventListener('click', async () => {
     const response = await chrome.runtime.sendMessage({
       type: 'ORGANIZE_TABS_NOLLM',
       dryRun: dryRunNoLlmCheckbox.checked,
-      userRules: cachedUserRules
+      userRules: cachedUserRules,
+      scope: getSelectedScope(),
+      confirm,
+      token: confirm ? token : undefined,
+      edits,
+      acceptDrift: confirm && acceptDrift
     });
 
     if (!response) {
@@ -151,19 +232,19 @@ noLlmButton.addEventListener('click', async () => {
       throw new Error(response.error || 'Unable to organize tabs.');
     }
 
-    setStatus(response.message || '');
-
-    if (response.dryRun && response.plan) {
-      const hasPlannedChanges = renderPreview(convertPlanToPreview(response.plan));
-      if (!hasPlannedChanges) {
-        resetPreview();
-      }
+    if (response.stale) {
+      showDriftNotice(response, () => noLlmButton.click());
+      return;
     }
+
+    showNoLlmResult(response);
   } catch (error) {
     console.error('Popup no-LLM organize error', error);
+    resetPreview();
     setStatus(error.message || 'Unexpected error.');
   } finally {
     setNoLLMWorkingState(false);
+    refreshUndoState();
   }
 });
 
@@ -172,7 +253,7 @@ closeDuplicatesButton.addEventListener('click', async () => {
   setCloseDuplicatesWorkingState(true);
 
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'CLOSE_DUPLICATE_TABS' });
+    const response = await chrome.runtime.sendMessage({ type: 'CLOSE_DUPLICATE_TABS', scope: getSelectedScope() });
 
     if (!response) {
       throw new Error('No response from background script.');
@@ -188,9 +269,144 @@ closeDuplicatesButton.addEventListener('click', async () => {
     setStatus(error.message || 'Unexpected error.');
   } finally {
     setCloseDuplicatesWorkingState(false);
+    refreshUndoState();
+  }
+});
+
+consolidateButton.addEventListener('click', async () => {
+  const confirm = Boolean(consolidationToken);
+  const token = consolidationToken;
+  if (!confirm) {
+    resetPreview();
+  }
+  setConsolidateWorkingState(true, confirm ? 'Consolidating…' : 'Planning…');
+  showCancelButton(!confirm && consolidateEngineSelect.value === 'llm');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CONSOLIDATE_WINDOWS',
+      destination: consolidateDestinationSelect.value,
+      targetWindowId: typeof currentWindowId === 'number' ? currentWindowId : undefined,
+      engine: consolidateEngineSelect.value,
+      prompt: textarea.value.trim(),
+      userRules: cachedUserRules,
+      confirm,
+      token: confirm ? token : undefined
+    });
+
+    if (!response) {
+      throw new Error('No response from background script.');
+    }
+
+    if (!response.success) {
+      throw new Error(response.error || 'Unable to consolidate windows.');
+    }
+
+    if (response.preview) {
+      resetPreview();
+      if (response.token && renderPreview(response.summary)) {
+        consolidationToken = response.token;
+      }
+      setStatus(response.message || 'Review the plan and confirm.');
+      return;
+    }
+
+    resetPreview();
+    setStatus(response.message || 'Windows consolidated.');
+  } catch (error) {
+    console.error('Popup consolidate error', error);
+    resetPreview();
+    setStatus(error.message || 'Unexpected error.');
+  } finally {
+    showCancelButton(false);
+    setConsolidateWorkingState(false);
+    refreshUndoState();
+  }
+});
+
+for (const select of [consolidateDestinationSelect, consolidateEngineSelect]) {
+  select.addEventListener('change', () => {
+    if (consolidationToken) {
+      resetPreview();
+      setStatus('');
+    }
+  });
+}
+
+cancelLlmButton.addEventListener('click', async () => {
+  cancelLlmButton.disabled = true;
+  cancelLlmButton.textContent = 'Cancelling…';
+  try {
+    await chrome.runtime.sendMessage({ type: 'CANCEL_LLM_REQUEST' });
+  } catch (error) {
+    console.error('Popup cancel error', error);
+    setStatus('Unable to cancel the request.');
+  }
+});
+
+undoButton.addEventListener('click', async () => {
+  resetPreview();
+  setUndoWorkingState(true);
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UNDO_LAST_RUN' });
+
+    if (!response) {
+      throw new Error('No response from background script.');
+    }
+
+    if (!response.success) {
+      throw new Error(response.error || 'Unable to undo the last run.');
+    }
+
+    setStatus(response.message || 'Restored the previous tab layout.');
+  } catch (error) {
+    console.error('Popup undo error', error);
+    setStatus(error.message || 'Unexpected error.');
+  } finally {
+    setUndoWorkingState(false);
+    refreshUndoState();
+  }
+});
+
+llmPayloadSection.addEventListener('toggle', () => {
+  if (llmPayloadSection.open) {
+    renderLLMPayload();
+  }
+});
+
+textarea.addEventListener('change', () => {
+  if (llmPayloadSection.open) {
+    renderLLMPayload();
   }
 });
 
+scopeSelect.addEventListener('change', async () => {
+  if (awaitingConfirmation || noLlmAwaitingConfirmation) {
+    resetPreview();
+    setStatus('');
+  }
+  if (llmPayloadSection.open) {
+    renderLLMPayload();
+  }
+  if (scopeSelect.value !== 'current' && scopeSelect.value !== 'all') {
+    return;
+  }
+  try {
+    await chrome.storage.sync.set({ organizeScope: scopeSelect.value });
+  } catch (error) {
+    console.warn('Unable to persist organize scope', error);
+  }
+});
+
+if (chrome.tabGroups) {
+  for (const event of [chrome.tabGroups.onCreated, chrome.tabGroups.onUpdated, chrome.tabGroups.onRemoved]) {
+    if (event) {
+      event.addListener(() => renderLockedGroups());
+    }
+  }
+}
+
 dryRunNoLlmCheckbox.addEventListener('change', async () => {
   try {
     await chrome.storage.sync.set({ dryRunNoLLM: dryRunNoLlmCheckbox.checked });
@@ -214,13 +430,17 @@ function setLLMWorkingState(isWorking, label) {
   }
 }
 
-function setNoLLMWorkingState(isWorking) {
+function setNoLLMWorkingState(isWorking, label) {
   setInteractivity(isWorking);
   if (isWorking) {
-    noLlmButton.textContent = 'Organizing…';
+    noLlmButton.textContent = label || 'Organizing…';
     setStatus('');
   } else {
-    noLlmButton.textContent = 'Organize (No-LLM)';
+    noLlmButton.textContent = noLlmAwaitingConfirmation
+      ? acceptDrift
+        ? 'Apply anyway'
+        : 'Apply plan'
+      : 'Organize (No-LLM)';
     if (!awaitingConfirmation) {
       llmButton.textContent = 'Organize (LLM)';
     }
@@ -241,6 +461,30 @@ function setCloseDuplicatesWorkingState(isWorking) {
   }
 }
 
+function setConsolidateWorkingState(isWorking, label) {
+  setInteractivity(isWorking);
+  if (label) {
+    consolidateButton.textContent = label;
+    setStatus('');
+  } else {
+    consolidateButton.textContent = consolidationToken ? 'Apply consolidation' : 'Preview consolidation';
+  }
+}
+
+function setUndoWorkingState(isWorking) {
+  setInteractivity(isWorking);
+  if (isWorking) {
+    undoButton.textContent = 'Undoing…';
+    setStatus('');
+  }
+}
+
+function showCancelButton(visible) {
+  cancelLlmButton.hidden = !visible;
+  cancelLlmButton.disabled = false;
+  cancelLlmButton.textContent = 'Cancel';
+}
+
 function setInteractivity(disabled) {
   if (disabled) {
     hideTooltip();
@@ -248,14 +492,185 @@ function setInteractivity(disabled) {
   llmButton.disabled = disabled;
   noLlmButton.disabled = disabled;
   closeDuplicatesButton.disabled = disabled;
+  undoButton.disabled = disabled || !undoLabel;
   textarea.disabled = disabled;
+  scopeSelect.disabled = disabled;
+  consolidateButton.disabled = disabled;
+  consolidateDestinationSelect.disabled = disabled;
+  consolidateEngineSelect.disabled = disabled;
   dryRunNoLlmCheckbox.disabled = disabled;
 }
 
+async function refreshUndoState() {
+  try {
+    const snapshot = await loadUndoSnapshot();
+    undoLabel = snapshot ? snapshot.label || 'last run' : null;
+  } catch (error) {
+    console.warn('Unable to load undo state', error);
+    undoLabel = null;
+  }
+  undoButton.textContent = undoLabel ? `Undo ${undoLabel}` : 'Undo last run';
+  undoButton.disabled = !undoLabel || llmButton.disabled;
+}
+
 function setStatus(message) {
   statusEl.textContent = message;
 }
 
+async function renderLockedGroups() {
+  lockedGroupList.innerHTML = '';
+  let groups = [];
+  try {
+    groups = typeof currentWindowId === 'number' ? await chrome.tabGroups.query({ windowId: currentWindowId }) : [];
+  } catch (error) {
+    console.warn('Unable to list tab groups', error);
+  }
+  const titled = groups.filter((group) => group.title && group.title.trim());
+  lockedGroupsSection.hidden = titled.length === 0;
+
+  for (const group of titled) {
+    const byMarker = group.title.includes(LOCKED_GROUP_MARKER);
+    const li = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = 'toggle-control';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = isLockedGroupTitle(group.title, lockedGroupTitles);
+    input.disabled = byMarker;
+    input.addEventListener('change', () => toggleGroupLock(group.title, input.checked));
+    const track = document.createElement('span');
+    track.className = 'toggle-track';
+    track.setAttribute('aria-hidden', 'true');
+    const thumb = document.createElement('span');
+    thumb.className = 'toggle-thumb';
+    track.appendChild(thumb);
+    const text = document.createElement('span');
+    text.className = 'toggle-label';
+    text.textContent = byMarker ? `${group.title} (locked by title)` : group.title;
+    label.appendChild(input);
+    label.appendChild(track);
+    label.appendChild(text);
+    li.appendChild(label);
+    lockedGroupList.appendChild(li);
+  }
+}
+
+/**
+ * Show a No-LLM result, including runs the LLM button fell back to once the monthly budget was used up.
+ * Dry runs open the editable preview, which the No-LLM button then applies.
+ * @param {{ message?: string, dryRun?: boolean, token?: string, plan?: any }} response
+ */
+function showNoLlmResult(response) {
+  resetPreview();
+  setStatus(response.message || '');
+
+  if (response.dryRun && response.plan) {
+    if (response.token && renderEditablePreview(convertPlanToPreview(response.plan))) {
+      noLlmAwaitingConfirmation = true;
+      noLlmPreviewToken = response.token;
+      noLlmButton.textContent = 'Apply plan';
+    } else {
+      resetPreview();
+    }
+  }
+}
+
+/**
+ * Show the exact messages an LLM organize run would send right now, after privacy redaction,
+ * with the estimated tokens and cost.
+ */
+async function renderLLMPayload() {
+  llmPayloadHint.textContent = 'Loading…';
+  llmPayloadContent.innerHTML = '';
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      type: 'PREVIEW_LLM_PAYLOAD',
+      prompt: textarea.value.trim(),
+      scope: getSelectedScope()
+    });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+  if (!response || !response.success) {
+    llmPayloadHint.textContent = (response && response.error) || 'Unable to build the request preview.';
+    return;
+  }
+  if (!response.requests.length) {
+    llmPayloadHint.textContent = response.ruleTabCount
+      ? 'Nothing would be sent: your rules and the built-in site patterns group every tab.'
+      : response.cachedTabCount
+      ? 'Nothing would be sent: every tab keeps the group the LLM chose for it before.'
+      : 'Nothing would be sent: there are not enough tabs to group.';
+    return;
+  }
+
+  const hints = [
+    `${response.requests.length === 1 ? 'One request' : `${response.requests.length} requests`} to ${response.provider}. Change what is redacted in Settings.`
+  ];
+  if (response.batched) {
+    hints.push('A final merge request also sends the proposed group names with up to three titles each.');
+  }
+  if (response.ruleTabCount) {
+    const count = response.ruleTabCount;
+    hints.push(`Hybrid mode: ${count} tab${count === 1 ? '' : 's'} matching your rules or built-in site patterns ${count === 1 ? 'is' : 'are'} grouped without the LLM.`);
+  }
+  if (response.cachedTabCount) {
+    const count = response.cachedTabCount;
+    hints.push(`${count} tab${count === 1 ? '' : 's'} keep${count === 1 ? 's' : ''} the group the LLM chose before and ${count === 1 ? 'is' : 'are'} not sent.`);
+  }
+  hints.push(describePayloadEstimate(response));
+  llmPayloadHint.textContent = hints.join(' ');
+  for (const request of response.requests) {
+    const block = document.createElement('div');
+    block.className = 'llm-payload-request';
+    const title = document.createElement('p');
+    title.className = 'llm-payload-title';
+    title.textContent = `${request.label}: ${request.tabCount} tab${request.tabCount === 1 ? '' : 's'}`;
+    block.appendChild(title);
+    for (const message of request.messages) {
+      const body = document.createElement('pre');
+      body.className = 'llm-payload-message';
+      body.textContent = `${message.role}: ${message.content}`;
+      block.appendChild(body);
+    }
+    llmPayloadContent.appendChild(block);
+  }
+}
+
+/**
+ * Summarize the token and cost estimate of a payload preview, with this month's budget.
+ * @param {{ model: string, estimate: { promptTokens: number, completionTokens: number, cost: number|null }, budget: { spent: number, limit: number } }} response
+ * @returns {string}
+ */
+function describePayloadEstimate(response) {
+  const { estimate, budget } = response;
+  const tokens = `About ${estimate.promptTokens.toLocaleString('en-US')} prompt + ${estimate.completionTokens.toLocaleString('en-US')} completion tokens`;
+  const cost = estimate.cost === null ? `cost unknown for ${response.model}` : `≈ ${formatCost(estimate.cost)} with ${response.model}`;
+  const parts = [`${tokens} (${cost}).`];
+  if (budget.limit) {
+    parts.push(
+      budget.spent >= budget.limit
+        ? `This month's budget of ${formatCost(budget.limit)} is used up, so organizing runs without the LLM.`
+        : `${formatCost(budget.spent)} of the ${formatCost(budget.limit)} monthly budget spent.`
+    );
+  }
+  return parts.join(' ');
+}
+
+async function toggleGroupLock(title, locked) {
+  const lowered = title.trim().toLowerCase();
+  const remaining = lockedGroupTitles.filter((entry) => entry.toLowerCase() !== lowered);
+  lockedGroupTitles = locked ? [...remaining, title.trim()] : remaining;
+  try {
+    await chrome.storage.sync.set({ lockedGroupTitles });
+    setStatus(locked ? `Locked “${title.trim()}”.` : `Unlocked “${title.trim()}”.`);
+  } catch (error) {
+    console.warn('Unable to persist locked groups', error);
+    setStatus('Unable to save locked groups.');
+  }
+}
+
 function renderPreview(summary) {
   hidePreviewPanel();
 
@@ -265,6 +680,7 @@ function renderPreview(summary) {
 
   const closingItems = Array.isArray(summary.closing) ? summary.closing : [];
   const groupingItems = Array.isArray(summary.groups) ? summary.groups : [];
+  const windowItems = Array.isArray(summary.windows) ? summary.windows : [];
   const notesText = typeof summary.notes === 'string' ? summary.notes.trim() : '';
   const hasClosing = closingItems.length > 0;
   const hasGrouping = groupingItems.length > 0;
@@ -275,39 +691,33 @@ function renderPreview(summary) {
     return false;
   }
 
-  if (hasClosing) {
-    const closingSection = document.createElement('div');
-    closingSection.className = 'preview-section';
-    const closingTitle = document.createElement('h3');
-    closingTitle.textContent = 'Tabs to close';
-    closingSection.appendChild(closingTitle);
-    const closingList = document.createElement('ul');
-    closingList.className = 'preview-list';
-    for (const item of closingItems) {
-      const li = document.createElement('li');
-      li.textContent = `${item.title} – ${item.url}`;
-      closingList.appendChild(li);
+  if (windowItems.length > 1) {
+    for (const entry of windowItems) {
+      const windowClosing = Array.isArray(entry.closing) ? entry.closing : [];
+      const windowGroups = Array.isArray(entry.groups) ? entry.groups : [];
+      if (!windowClosing.length && !windowGroups.length) {
+        continue;
+      }
+      const windowSection = document.createElement('div');
+      windowSection.className = 'preview-window';
+      const windowTitle = document.createElement('h3');
+      windowTitle.textContent = entry.label || 'Window';
+      windowSection.appendChild(windowTitle);
+      if (windowClosing.length) {
+        windowSection.appendChild(buildClosingSection(windowClosing, 'h4'));
+      }
+      if (windowGroups.length) {
+        windowSection.appendChild(buildGroupingSection(windowGroups, 'h4'));
+      }
+      previewContent.appendChild(windowSection);
+    }
+  } else {
+    if (hasClosing) {
+      previewContent.appendChild(buildClosingSection(closingItems, 'h3'));
     }
-    closingSection.appendChild(closingList);
-    previewContent.appendChild(closingSection);
-  }
-
-  if (hasGrouping) {
-    const groupingSection = document.createElement('div');
-    groupingSection.className = 'preview-section';
-    const groupingTitle = document.createElement('h3');
-    groupingTitle.textContent = 'Tab groups';
-    groupingSection.appendChild(groupingTitle);
-    const groupingList = document.createElement('ul');
-    groupingList.className = 'preview-list';
-    for (const group of groupingItems) {
-      const li = document.createElement('li');
-      const tabList = group.tabs.map((tab) => tab.title).join(', ');
-      li.textContent = `${group.name}: ${tabList}`;
-      groupingList.appendChild(li);
+    if (hasGrouping) {
+      previewContent.appendChild(buildGroupingSection(groupingItems, 'h3'));
     }
-    groupingSection.appendChild(groupingList);
-    previewContent.appendChild(groupingSection);
   }
 
   if (hasNotes) {
@@ -326,31 +736,192 @@ function renderPreview(summary) {
   return true;
 }
 
+function buildClosingSection(closingItems, headingTag) {
+  const closingSection = document.createElement('div');
+  closingSection.className = 'preview-section';
+  const closingTitle = document.createElement(headingTag);
+  closingTitle.textContent = 'Tabs to close';
+  closingSection.appendChild(closingTitle);
+  const closingList = document.createElement('ul');
+  closingList.className = 'preview-list';
+  for (const item of closingItems) {
+    const li = document.createElement('li');
+    li.textContent = `${item.title} – ${item.url}`;
+    closingList.appendChild(li);
+  }
+  closingSection.appendChild(closingList);
+  return closingSection;
+}
+
+function buildGroupingSection(groupingItems, headingTag) {
+  const groupingSection = document.createElement('div');
+  groupingSection.className = 'preview-section';
+  const groupingTitle = document.createElement(headingTag);
+  groupingTitle.textContent = 'Tab groups';
+  groupingSection.appendChild(groupingTitle);
+  const groupingList = document.createElement('ul');
+  groupingList.className = 'preview-list';
+  for (const group of groupingItems) {
+    const li = document.createElement('li');
+    const tabList = group.tabs.map((tab) => tab.title).join(', ');
+    li.textContent = group.existing ? `${group.name} (existing group) + ${tabList}` : `${group.name}: ${tabList}`;
+    groupingList.appendChild(li);
+  }
+  groupingSection.appendChild(groupingList);
+  return groupingSection;
+}
+
+function renderEditablePreview(summary) {
+  hidePreviewPanel();
+  previewDraft = createPreviewDraft(summary);
+  if (!previewDraft) {
+    return false;
+  }
+  renderPreviewEditor(previewContent, previewDraft);
+  previewSection.hidden = false;
+  return true;
+}
+
 function hidePreviewPanel() {
   previewSection.hidden = true;
   previewContent.innerHTML = '';
+  previewDrift.hidden = true;
+  previewDrift.innerHTML = '';
+}
+
+/**
+ * List what changed since the preview above the plan. The next confirm applies anyway,
+ * while "Preview again" discards the plan and builds a fresh one.
+ * @param {{ message?: string, drift?: any }} response
+ * @param {() => void} previewAgain
+ */
+function showDriftNotice(response, previewAgain) {
+  acceptDrift = true;
+  previewDrift.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Changes since preview';
+  previewDrift.appendChild(title);
+
+  const drift = response.drift || {};
+  const items = [
+    ...(drift.removed || []).map((tab) => `Closed or locked: ${tab.title || tab.url}`),
+    ...(drift.opened || []).map((tab) => `Opened: ${tab.title || tab.url}`),
+    ...(drift.navigated || []).map((tab) => `Navigated: ${tab.title || tab.url} (was ${tab.from})`),
+    ...(drift.moved || []).map((tab) => `Moved to another window: ${tab.title || tab.url}`),
+    ...(drift.regrouped || []).map((tab) => `Moved between groups: ${tab.title || tab.url}`),
+    ...(drift.groupsChanged || []).map((name) => `Group renamed, recolored, or removed: ${name}`)
+  ];
+  const list = document.createElement('ul');
+  list.className = 'preview-list';
+  for (const text of items) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  }
+  previewDrift.appendChild(list);
+
+  const hint = document.createElement('p');
+  hint.textContent = 'Applying anyway leaves these tabs as they are.';
+  previewDrift.appendChild(hint);
+
+  const againButton = document.createElement('button');
+  againButton.type = 'button';
+  againButton.className = 'glass-button subtle';
+  againButton.textContent = 'Preview again';
+  againButton.addEventListener('click', () => {
+    resetPreview();
+    setStatus('');
+    previewAgain();
+  });
+  previewDrift.appendChild(againButton);
+
+  previewDrift.hidden = false;
+  previewSection.hidden = false;
+  setStatus(response.message || 'Your tabs changed since the preview.');
 }
 
 function resetPreview() {
   awaitingConfirmation = false;
+  noLlmAwaitingConfirmation = false;
+  noLlmPreviewToken = null;
+  previewDraft = null;
+  acceptDrift = false;
   previewToken = null;
   previewPromptValue = '';
+  previewScopeValue = '';
+  consolidationToken = null;
   hidePreviewPanel();
   llmButton.textContent = 'Organize (LLM)';
   noLlmButton.textContent = 'Organize (No-LLM)';
+  consolidateButton.textContent = 'Preview consolidation';
 }
 
 function convertPlanToPreview(plan) {
+  const duplicates = plan.duplicates || [];
   return {
-    closing: (plan.duplicates || []).map((item) => ({ title: item.title, url: item.url })),
-    groups: (plan.groups || []).map((group) => ({
-      name: group.name,
-      tabs: (group.tabs || []).map((tab) => ({ title: tab.title, url: tab.url }))
+    closing: duplicates.map((item) => ({ id: item.id, title: item.title, url: item.url })),
+    groups: (plan.groups || []).map(convertGroupForPreview),
+    windows: (plan.windows || []).map((entry) => ({
+      windowId: entry.windowId,
+      label: entry.label,
+      closing: duplicates
+        .filter((item) => item.windowId === entry.windowId)
+        .map((item) => ({ id: item.id, title: item.title, url: item.url })),
+      groups: (entry.groups || []).map(convertGroupForPreview),
+      ungrouped: (entry.ungrouped || []).map((tab) => ({ id: tab.id, title: tab.title, url: tab.url }))
     })),
     notes: typeof plan.notes === 'string' ? plan.notes : ''
   };
 }
 
+function convertGroupForPreview(group) {
+  return {
+    name: group.name,
+    color: group.color || null,
+    existing: Boolean(group.existing),
+    existingGroupId: group.existingGroupId,
+    tabs: (group.tabs || []).map((tab) => ({ id: tab.id, title: tab.title, url: tab.url, diagnostic: tab.diagnostic || null }))
+  };
+}
+
+function getSelectedScope() {
+  const value = scopeSelect.value;
+  if (value.startsWith('window:')) {
+    return { type: 'window', windowId: Number(value.slice('window:'.length)) };
+  }
+  return { type: value === 'all' ? 'all' : 'current' };
+}
+
+async function populateScopeOptions(savedScope) {
+  try {
+    const [currentWindow, windows] = await Promise.all([
+      chrome.windows.getCurrent({ populate: false }),
+      chrome.windows.getAll({ populate: true, windowTypes: ['normal'] })
+    ]);
+    currentWindowId = currentWindow.id;
+    const others = windows
+      .filter((win) => win.id !== currentWindow.id && !win.incognito)
+      .sort((a, b) => a.id - b.id);
+    others.forEach((win, index) => {
+      const tabs = Array.isArray(win.tabs) ? win.tabs : [];
+      const activeTab = tabs.find((tab) => tab.active);
+      const title = activeTab && activeTab.title ? activeTab.title : 'Untitled';
+      const option = document.createElement('option');
+      option.value = `window:${win.id}`;
+      option.textContent = `Window ${index + 2} · ${truncateText(title, 28)} (${tabs.length} tab${tabs.length === 1 ? '' : 's'})`;
+      scopeSelect.appendChild(option);
+    });
+  } catch (error) {
+    console.warn('Unable to list browser windows', error);
+  }
+  scopeSelect.value = savedScope === 'all' ? 'all' : 'current';
+}
+
+function truncateText(value, maxLength) {
+  const trimmed = (value || '').trim();
+  return trimmed.length <= maxLength ? trimmed : `${trimmed.slice(0, maxLength - 1)}…`;
+}
+
 function showTooltip() {
   if (!tooltipTrigger || !tooltipBubble) {
     return;
@@ -409,14 +980,20 @@ async function initializePopup() {
     const stored = await chrome.storage.sync.get({
       dryRunNoLLM: false,
       userRulesJSON: '',
-      dryRun: false
+      dryRun: false,
+      organizeScope: 'current',
+      lockedGroupTitles: []
     });
+    await populateScopeOptions(stored.organizeScope);
+    lockedGroupTitles = normalizeLockedGroupTitles(stored.lockedGroupTitles);
     dryRunNoLlmCheckbox.checked = Boolean(stored.dryRunNoLLM);
     cachedUserRules = typeof stored.userRulesJSON === 'string' ? stored.userRulesJSON : '';
     llmDryRunPreference = Boolean(stored.dryRun);
   } catch (error) {
     console.warn('Unable to load popup preferences', error);
   }
+  refreshUndoState();
+  renderLockedGroups();
 }
 
 resetPreview();
@@ -0,0 +1,331 @@
+/**
+ * Editable organizer previews for the popup. Tabs to close can be kept, tabs can be dragged or
+ * reassigned between the groups of their window, and new groups can be renamed or recolored
+ * before the edited plan goes back to the service worker.
+ * @module preview_editor
+ */
+
+import { TAB_GROUP_COLORS, describeClassificationSteps } from './tab_utils.js';
+
+const NO_GROUP = 'none';
+const NEW_GROUP = 'new';
+
+/**
+ * @typedef {{ id: number, title: string, url: string, diagnostic?: any }} DraftTab
+ * @typedef {{ key: string, name: string, color: string|null, existingGroupId?: number, tabs: DraftTab[] }} DraftGroup
+ * @typedef {{
+ *   windowId: number,
+ *   label: string,
+ *   closing: Array<DraftTab & { close: boolean }>,
+ *   groups: DraftGroup[],
+ *   ungrouped: DraftTab[]
+ * }} DraftWindow
+ * @typedef {{ windows: DraftWindow[], notes: string, nextKey: number }} PreviewDraft
+ */
+
+/**
+ * Build an editable draft from a preview summary sent by the service worker.
+ * @param {{ windows?: any[], notes?: string }} summary
+ * @returns {PreviewDraft|null} `null` when the plan has nothing to change.
+ */
+export function createPreviewDraft(summary) {
+  if (!summary || !Array.isArray(summary.windows)) {
+    return null;
+  }
+  const draft = { windows: [], notes: typeof summary.notes === 'string' ? summary.notes.trim() : '', nextKey: 0 };
+  for (const entry of summary.windows) {
+    const closing = (entry.closing || []).map((tab) => ({ ...tab, close: true }));
+    const groups = (entry.groups || []).map((group) => ({
+      key: `g${draft.nextKey++}`,
+      name: group.name,
+      color: group.color || null,
+      existingGroupId: Number.isInteger(group.existingGroupId) ? group.existingGroupId : undefined,
+      tabs: (group.tabs || []).map((tab) => ({ ...tab }))
+    }));
+    // Tabs left out of every group are listed too, so they can still be moved into one.
+    const ungrouped = (entry.ungrouped || []).map((tab) => ({ ...tab }));
+    if (closing.length || groups.length) {
+      draft.windows.push({ windowId: entry.windowId, label: entry.label || 'Window', closing, groups, ungrouped });
+    }
+  }
+  return draft.windows.length ? draft : null;
+}
+
+/**
+ * Render the draft into `container`. Every edit updates the draft and re-renders it.
+ * @param {HTMLElement} container
+ * @param {PreviewDraft} draft
+ */
+export function renderPreviewEditor(container, draft) {
+  const rerender = () => renderPreviewEditor(container, draft);
+  container.innerHTML = '';
+  const showWindowHeadings = draft.windows.length > 1;
+
+  for (const windowDraft of draft.windows) {
+    const parent = showWindowHeadings ? document.createElement('div') : container;
+    const headingTag = showWindowHeadings ? 'h4' : 'h3';
+    if (showWindowHeadings) {
+      parent.className = 'preview-window';
+      const title = document.createElement('h3');
+      title.textContent = windowDraft.label;
+      parent.appendChild(title);
+      container.appendChild(parent);
+    }
+    if (windowDraft.closing.length) {
+      parent.appendChild(buildClosingEditor(windowDraft, headingTag));
+    }
+    parent.appendChild(buildGroupsEditor(draft, windowDraft, headingTag, rerender));
+  }
+
+  if (draft.notes) {
+    const notesSection = document.createElement('div');
+    notesSection.className = 'preview-section';
+    const notesTitle = document.createElement('h3');
+    notesTitle.textContent = 'Notes';
+    const notesBody = document.createElement('p');
+    notesBody.textContent = draft.notes;
+    notesSection.appendChild(notesTitle);
+    notesSection.appendChild(notesBody);
+    container.appendChild(notesSection);
+  }
+}
+
+/**
+ * Turn the draft into the edits payload understood by the service worker. Tabs moved out of the
+ * "Not grouped" bucket are sent as members of their new group; tabs left there stay ungrouped.
+ * @param {PreviewDraft} draft
+ * @returns {import('./tab_utils.js').PlanEdits}
+ */
+export function collectPlanEdits(draft) {
+  const closeTabIds = [];
+  const windows = [];
+  for (const windowDraft of draft.windows) {
+    closeTabIds.push(...windowDraft.closing.filter((tab) => tab.close).map((tab) => tab.id));
+    const groups = [];
+    for (const group of windowDraft.groups) {
+      if (!group.tabs.length) continue;
+      const name = group.name.trim();
+      if (!name) {
+        throw new Error('Give every group a name before applying.');
+      }
+      const edited = { name, color: group.color, tabIds: group.tabs.map((tab) => tab.id) };
+      if (Number.isInteger(group.existingGroupId)) {
+        edited.existingGroupId = group.existingGroupId;
+      }
+      groups.push(edited);
+    }
+    windows.push({ windowId: windowDraft.windowId, groups });
+  }
+  return { closeTabIds, windows };
+}
+
+function buildClosingEditor(windowDraft, headingTag) {
+  const section = document.createElement('div');
+  section.className = 'preview-section';
+  const heading = document.createElement(headingTag);
+  heading.textContent = 'Tabs to close';
+  section.appendChild(heading);
+  const list = document.createElement('ul');
+  list.className = 'preview-list preview-checklist';
+  for (const tab of windowDraft.closing) {
+    const li = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = tab.close;
+    checkbox.addEventListener('change', () => {
+      tab.close = checkbox.checked;
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${tab.title} – ${tab.url}`));
+    li.appendChild(label);
+    list.appendChild(li);
+  }
+  section.appendChild(list);
+  return section;
+}
+
+function buildGroupsEditor(draft, windowDraft, headingTag, rerender) {
+  const section = document.createElement('div');
+  section.className = 'preview-section';
+  const heading = document.createElement(headingTag);
+  heading.textContent = 'Tab groups';
+  section.appendChild(heading);
+
+  for (const group of windowDraft.groups) {
+    const block = document.createElement('div');
+    block.className = 'preview-group';
+    block.appendChild(buildGroupHeader(group));
+    block.appendChild(buildTabList(draft, windowDraft, group, rerender));
+    section.appendChild(block);
+  }
+
+  if (windowDraft.ungrouped.length) {
+    const block = document.createElement('div');
+    block.className = 'preview-group';
+    const title = document.createElement('p');
+    title.className = 'preview-group-title';
+    title.textContent = 'Not grouped';
+    block.appendChild(title);
+    block.appendChild(buildTabList(draft, windowDraft, null, rerender));
+    section.appendChild(block);
+  }
+  return section;
+}
+
+function buildGroupHeader(group) {
+  const header = document.createElement('div');
+  header.className = 'preview-group-header';
+  const existing = Number.isInteger(group.existingGroupId);
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = group.name;
+  nameInput.maxLength = 28;
+  nameInput.setAttribute('aria-label', 'Group name');
+  nameInput.disabled = existing;
+  nameInput.addEventListener('input', () => {
+    group.name = nameInput.value;
+    const section = nameInput.closest('.preview-section');
+    for (const option of section.querySelectorAll(`option[value="${group.key}"]`)) {
+      option.textContent = group.name.trim() || 'Untitled group';
+    }
+  });
+  header.appendChild(nameInput);
+
+  const colorSelect = document.createElement('select');
+  colorSelect.setAttribute('aria-label', 'Group color');
+  colorSelect.disabled = existing;
+  const autoOption = document.createElement('option');
+  autoOption.value = '';
+  autoOption.textContent = 'Auto';
+  colorSelect.appendChild(autoOption);
+  for (const color of TAB_GROUP_COLORS) {
+    const option = document.createElement('option');
+    option.value = color;
+    option.textContent = color;
+    colorSelect.appendChild(option);
+  }
+  colorSelect.value = group.color || '';
+  colorSelect.addEventListener('change', () => {
+    group.color = colorSelect.value || null;
+  });
+  header.appendChild(colorSelect);
+
+  if (existing) {
+    const badge = document.createElement('span');
+    badge.className = 'preview-group-badge';
+    badge.textContent = 'existing group';
+    header.appendChild(badge);
+  }
+  return header;
+}
+
+function buildTabList(draft, windowDraft, group, rerender) {
+  const list = document.createElement('ul');
+  list.className = 'preview-tab-list';
+  list.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    list.classList.add('drop-target');
+  });
+  list.addEventListener('dragleave', () => list.classList.remove('drop-target'));
+  list.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const tabId = Number(event.dataTransfer.getData('text/plain'));
+    if (moveTab(draft, windowDraft, tabId, group ? group.key : NO_GROUP)) {
+      rerender();
+    } else {
+      list.classList.remove('drop-target');
+    }
+  });
+
+  const tabs = group ? group.tabs : windowDraft.ungrouped;
+  for (const tab of tabs) {
+    const li = document.createElement('li');
+    li.className = 'preview-tab-row';
+    li.draggable = true;
+    li.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', String(tab.id));
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    li.appendChild(buildTabLabel(tab));
+    li.appendChild(buildMoveSelect(draft, windowDraft, group, tab, rerender));
+    list.appendChild(li);
+  }
+  return list;
+}
+
+// No-LLM previews carry classification diagnostics, shown as expandable rows.
+function buildTabLabel(tab) {
+  if (!tab.diagnostic) {
+    const label = document.createElement('span');
+    label.className = 'preview-tab-title';
+    label.textContent = tab.title || tab.url;
+    label.title = tab.url || '';
+    return label;
+  }
+  const details = document.createElement('details');
+  details.className = 'preview-tab';
+  const summary = document.createElement('summary');
+  summary.textContent = tab.title || tab.url;
+  summary.title = tab.url || '';
+  details.appendChild(summary);
+  const steps = document.createElement('ol');
+  steps.className = 'preview-diagnostic';
+  for (const text of describeClassificationSteps(tab.diagnostic)) {
+    const step = document.createElement('li');
+    step.textContent = text;
+    steps.appendChild(step);
+  }
+  details.appendChild(steps);
+  return details;
+}
+
+function buildMoveSelect(draft, windowDraft, group, tab, rerender) {
+  const select = document.createElement('select');
+  select.className = 'preview-move';
+  select.setAttribute('aria-label', `Move ${tab.title || tab.url} to`);
+  for (const candidate of windowDraft.groups) {
+    select.appendChild(new Option(candidate.name.trim() || 'Untitled group', candidate.key));
+  }
+  select.appendChild(new Option('New group', NEW_GROUP));
+  select.appendChild(new Option('No group', NO_GROUP));
+  select.value = group ? group.key : NO_GROUP;
+  select.addEventListener('change', () => {
+    if (moveTab(draft, windowDraft, tab.id, select.value)) {
+      rerender();
+    }
+  });
+  return select;
+}
+
+/**
+ * Move a tab to another group of its window, a new group, or out of every group.
+ * @returns {boolean} Whether the draft changed.
+ */
+function moveTab(draft, windowDraft, tabId, targetKey) {
+  const buckets = [...windowDraft.groups.map((group) => group.tabs), windowDraft.ungrouped];
+  const source = buckets.find((tabs) => tabs.some((tab) => tab.id === tabId));
+  if (!source) {
+    return false;
+  }
+
+  let target;
+  if (targetKey === NO_GROUP) {
+    target = windowDraft.ungrouped;
+  } else if (targetKey === NEW_GROUP) {
+    const group = { key: `g${draft.nextKey++}`, name: 'New group', color: null, tabs: [] };
+    windowDraft.groups.push(group);
+    target = group.tabs;
+  } else {
+    const group = windowDraft.groups.find((candidate) => candidate.key === targetKey);
+    target = group ? group.tabs : null;
+  }
+  if (!target || target === source) {
+    return false;
+  }
+
+  const index = source.findIndex((tab) => tab.id === tabId);
+  target.push(...source.splice(index, 1));
+  return true;
+}
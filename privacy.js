@@ -0,0 +1,173 @@
+/**
+ * Redaction applied to tab data before it is sent to a language model provider.
+ * @module privacy
+ */
+
+export const URL_DETAIL_LEVELS = Object.freeze(['full', 'path', 'shape']);
+
+const MASKED_HOST_SUFFIX = '.masked';
+const ID_SEGMENT = ':id';
+
+/** Keys read from chrome.storage.sync, with their defaults. */
+export const PRIVACY_DEFAULTS = Object.freeze({
+  llmUrlDetail: 'full',
+  llmMaskedDomains: [],
+  llmTitlelessDomains: []
+});
+
+/**
+ * @typedef {{
+ *   urlDetail: 'full'|'path'|'shape',
+ *   maskedDomains: string[],
+ *   titlelessDomains: string[]
+ * }} PrivacySettings
+ */
+
+/**
+ * Normalize stored privacy preferences.
+ * `full` sends URLs unchanged, `path` drops query strings and fragments, and `shape` also replaces
+ * path segments that look like IDs with `:id`.
+ * @param {Partial<typeof PRIVACY_DEFAULTS>} stored
+ * @returns {PrivacySettings}
+ */
+export function normalizePrivacySettings(stored = {}) {
+  return {
+    urlDetail: URL_DETAIL_LEVELS.includes(stored.llmUrlDetail) ? stored.llmUrlDetail : 'full',
+    maskedDomains: parseDomainList(stored.llmMaskedDomains),
+    titlelessDomains: parseDomainList(stored.llmTitlelessDomains)
+  };
+}
+
+/**
+ * Turn a list of domains typed one per line (or comma separated) into lowercase host suffixes.
+ * A leading `*.` or dot is ignored, since every entry already covers its subdomains.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseDomainList(value) {
+  const entries = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,]+/) : [];
+  const domains = new Set();
+  for (const entry of entries) {
+    if (typeof entry !== 'string') continue;
+    const domain = entry
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/:].*$/, '')
+      .replace(/^\*?\.+/, '');
+    if (domain) {
+      domains.add(domain);
+    }
+  }
+  return Array.from(domains);
+}
+
+/**
+ * Check whether `host` is one of `domains` or a subdomain of one.
+ * @param {string} host
+ * @param {string[]} domains
+ * @returns {boolean}
+ */
+export function hostMatchesDomainList(host, domains) {
+  const normalized = (host || '').toLowerCase();
+  return Boolean(normalized) && domains.some((domain) => normalized === domain || normalized.endsWith(`.${domain}`));
+}
+
+/**
+ * Produce the title, URL, and domain the LLM may see for a tab.
+ * Hosts on the masked list are replaced by a stable hash, so tabs from the same host can still be
+ * grouped together, and their URLs are always reduced to the path shape.
+ * @param {{ title?: string, url?: string }} tab
+ * @param {string|null} domain Registrable domain of the tab, as sent in the payload.
+ * @param {PrivacySettings} settings
+ * @returns {{ title: string|null, url: string, domain: string|null }}
+ */
+export function redactTabForLLM(tab, domain, settings) {
+  const title = typeof tab.title === 'string' ? tab.title : '';
+  const rawUrl = typeof tab.url === 'string' ? tab.url : '';
+  let parsed = null;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+    // Browser pages and local files carry no host to mask, but their paths are shaped like any other.
+    return { title, url: redactOtherUrl(rawUrl, parsed, settings.urlDetail), domain };
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const masked = hostMatchesDomainList(host, settings.maskedDomains);
+  const omitTitle = hostMatchesDomainList(host, settings.titlelessDomains);
+  const shownHost = masked ? maskHost(host) : parsed.host;
+  const detail = masked ? 'shape' : settings.urlDetail;
+
+  let url;
+  if (detail === 'full') {
+    url = parsed.href;
+  } else {
+    const path = detail === 'shape' ? describePathShape(parsed.pathname) : parsed.pathname;
+    url = `${parsed.protocol}//${shownHost}${path}`;
+  }
+
+  return {
+    title: omitTitle ? null : title,
+    url,
+    domain: masked ? maskHost(domain || host) : domain
+  };
+}
+
+/**
+ * Reduce a URL that is not http(s), or not parseable at all, to the requested detail level.
+ * @param {string} rawUrl
+ * @param {URL|null} parsed
+ * @param {'full'|'path'|'shape'} detail
+ * @returns {string}
+ */
+function redactOtherUrl(rawUrl, parsed, detail) {
+  if (detail === 'full') {
+    return rawUrl;
+  }
+  if (!parsed) {
+    const bare = rawUrl.split(/[?#]/)[0];
+    return detail === 'shape' && bare ? describePathShape(bare) : bare;
+  }
+  parsed.search = '';
+  parsed.hash = '';
+  if (detail === 'path') {
+    return parsed.href;
+  }
+  const prefix = parsed.href.slice(0, parsed.href.length - parsed.pathname.length);
+  return `${prefix}${describePathShape(parsed.pathname)}`;
+}
+
+/**
+ * Replace path segments that look like identifiers (numbers, hashes, UUIDs, long tokens) with `:id`.
+ * @param {string} pathname
+ * @returns {string}
+ */
+export function describePathShape(pathname) {
+  return (pathname || '/')
+    .split('/')
+    .map((segment) => (looksLikeIdentifier(segment) ? ID_SEGMENT : segment))
+    .join('/');
+}
+
+function looksLikeIdentifier(segment) {
+  if (!segment) return false;
+  if (/^\d+$/.test(segment)) return true;
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return true;
+  if (/^[0-9a-f]{12,}$/i.test(segment)) return true;
+  // Long mixed tokens such as document IDs, but not long readable slugs.
+  return segment.length >= 16 && /\d/.test(segment) && /^[A-Za-z0-9_-]+$/.test(segment) && !/^[a-z]+(-[a-z0-9]+)+$/.test(segment);
+}
+
+// FNV-1a keeps masked names stable across runs without a round trip through crypto.subtle.
+function maskHost(host) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < host.length; index += 1) {
+    hash ^= host.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `host-${(hash >>> 0).toString(16).padStart(8, '0')}${MASKED_HOST_SUFFIX}`;
+}
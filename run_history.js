@@ -0,0 +1,173 @@
+/**
+ * Persistent log of organizer runs so changes can be audited later.
+ * @module run_history
+ */
+
+const HISTORY_STORAGE_KEY = 'runHistory';
+export const MAX_HISTORY_ENTRIES = 50;
+
+export const RUN_MODE_LABELS = Object.freeze({
+  llm: 'Organize (LLM)',
+  nollm: 'Organize (No-LLM)',
+  dedupe: 'Close duplicates',
+  consolidate: 'Consolidate windows',
+  similar: 'Group similar tabs'
+});
+
+/**
+ * @typedef {{ title: string, url: string }} HistoryTab
+ *
+ * @typedef {{
+ *   id: string,
+ *   timestamp: number,
+ *   mode: 'llm'|'nollm'|'dedupe'|'consolidate'|'similar',
+ *   prompt: string,
+ *   trigger?: 'auto',
+ *   closed: Array<HistoryTab & { reason: string }>,
+ *   groupsCreated: Array<{ name: string, color: string|null, tabs: HistoryTab[] }>,
+ *   groupsRemoved: string[],
+ *   moved: Array<HistoryTab & { from: string|null, to: string|null, windowChanged?: boolean }>,
+ *   usage?: import('./llm_usage.js').UsageTotals & { model: string }
+ * }} RunHistoryEntry
+ */
+
+/**
+ * Load stored runs, newest first.
+ * @returns {Promise<RunHistoryEntry[]>}
+ */
+export async function loadRunHistory() {
+  const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  const entries = stored[HISTORY_STORAGE_KEY];
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Prepend a run to the history log, trimming the oldest entries.
+ * @param {RunHistoryEntry} entry
+ */
+export async function appendRunHistory(entry) {
+  const entries = await loadRunHistory();
+  entries.unshift(entry);
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries.slice(0, MAX_HISTORY_ENTRIES) });
+}
+
+/**
+ * Summarize what a run changed, e.g. "2 tabs closed · 1 group created · 4 tabs regrouped".
+ * @param {Pick<RunHistoryEntry, 'closed'|'groupsCreated'|'moved'>} entry
+ * @returns {string}
+ */
+export function describeRunChanges(entry) {
+  const closedCount = Array.isArray(entry.closed) ? entry.closed.length : 0;
+  const createdCount = Array.isArray(entry.groupsCreated) ? entry.groupsCreated.length : 0;
+  const movedCount = Array.isArray(entry.moved) ? entry.moved.length : 0;
+  return [
+    `${closedCount} tab${closedCount === 1 ? '' : 's'} closed`,
+    `${createdCount} group${createdCount === 1 ? '' : 's'} created`,
+    `${movedCount} tab${movedCount === 1 ? '' : 's'} regrouped`
+  ].join(' · ');
+}
+
+/**
+ * Check whether a run changed any tabs or groups.
+ * @param {Pick<RunHistoryEntry, 'closed'|'groupsCreated'|'groupsRemoved'|'moved'>} entry
+ * @returns {boolean}
+ */
+export function hasRunChanges(entry) {
+  return ['closed', 'groupsCreated', 'groupsRemoved', 'moved'].some(
+    (key) => Array.isArray(entry[key]) && entry[key].length > 0
+  );
+}
+
+/**
+ * Delete every stored run.
+ */
+export async function clearRunHistory() {
+  await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+}
+
+/**
+ * Compare window snapshots taken before and after a run.
+ * @param {import('./undo.js').UndoSnapshot} before
+ * @param {import('./undo.js').UndoSnapshot} after
+ * @param {Map<number, string>} closeReasons Reasons keyed by tab id for tabs the run meant to close.
+ * @returns {Pick<RunHistoryEntry, 'closed'|'groupsCreated'|'groupsRemoved'|'moved'>}
+ */
+export function diffWindowSnapshots(before, after, closeReasons = new Map()) {
+  const beforeTabs = collectTabsWithGroupTitles(before);
+  const afterTabs = collectTabsWithGroupTitles(after);
+  const beforeTitles = new Set(collectGroups(before).map((group) => group.title));
+  const afterGroups = collectGroups(after);
+  const afterTitles = new Set(afterGroups.map((group) => group.title));
+
+  const closed = [];
+  const moved = [];
+  for (const [tabId, entry] of beforeTabs.entries()) {
+    const current = afterTabs.get(tabId);
+    if (!current) {
+      closed.push({
+        title: entry.tab.title,
+        url: entry.tab.url,
+        reason: closeReasons.get(tabId) || 'Closed'
+      });
+      continue;
+    }
+    const windowChanged = entry.windowId !== current.windowId;
+    if (entry.groupTitle !== current.groupTitle || windowChanged) {
+      moved.push({
+        title: entry.tab.title,
+        url: entry.tab.url,
+        from: entry.groupTitle,
+        to: current.groupTitle,
+        windowChanged
+      });
+    }
+  }
+
+  const groupsCreated = [];
+  for (const group of afterGroups) {
+    if (beforeTitles.has(group.title)) continue;
+    const tabs = [];
+    for (const entry of afterTabs.values()) {
+      if (entry.groupId === group.id) {
+        tabs.push({ title: entry.tab.title, url: entry.tab.url });
+      }
+    }
+    groupsCreated.push({ name: group.title, color: group.color || null, tabs });
+  }
+
+  const groupsRemoved = Array.from(beforeTitles).filter((title) => !afterTitles.has(title));
+
+  return { closed, groupsCreated, groupsRemoved, moved };
+}
+
+/**
+ * Flatten snapshot tabs into a map annotated with their group title.
+ * @param {import('./undo.js').UndoSnapshot} snapshot
+ * @returns {Map<number, { tab: import('./undo.js').UndoTabRecord, windowId: number, groupId: number, groupTitle: string|null }>}
+ */
+function collectTabsWithGroupTitles(snapshot) {
+  const map = new Map();
+  for (const windowRecord of snapshot.windows) {
+    const titles = new Map(windowRecord.groups.map((group) => [group.id, group.title || 'Untitled group']));
+    for (const tab of windowRecord.tabs) {
+      map.set(tab.id, {
+        tab,
+        windowId: windowRecord.windowId,
+        groupId: tab.groupId,
+        groupTitle: titles.get(tab.groupId) || null
+      });
+    }
+  }
+  return map;
+}
+
+/**
+ * Gather the tab groups from every window in a snapshot.
+ * @param {import('./undo.js').UndoSnapshot} snapshot
+ * @returns {import('./undo.js').UndoGroupRecord[]}
+ */
+function collectGroups(snapshot) {
+  return snapshot.windows.flatMap((windowRecord) =>
+    windowRecord.groups.map((group) => ({ ...group, title: group.title || 'Untitled group' }))
+  );
+}
@@ -1,46 +1,240 @@
-import { requestChatCompletion, extractMessageContent, DEFAULT_MODEL } from './llm.js';
 import {
-  fetchCurrentWindowTabs,
+  requestChatCompletion,
+  extractMessageContent,
+  normalizeLLMConfig,
+  findMissingLLMSetting,
+  parseJsonContent,
+  extractUsage,
+  estimatePromptTokens,
+  estimateCost,
+  findModelPricing,
+  DEFAULT_MODEL,
+  DEFAULT_PROVIDER,
+  DEFAULT_TIMEOUT_SECONDS,
+  DEFAULT_MAX_RETRIES
+} from './llm.js';
+import {
+  fetchScopedWindowTabs,
+  normalizeOrganizeScope,
   computeDedupePlan,
   sanitizeGroupPlan,
   summarizePlanForPreview,
+  listUngroupedPlanTabs,
   extractDomain,
   dedupeTabs,
   groupByRules,
   parseUserRulesJSON,
-  assignUniqueGroupColors
+  assignUniqueGroupColors,
+  planWindowConsolidation,
+  describeExistingGroups,
+  attachToExistingGroups,
+  isLockedGroupTitle,
+  normalizeLockedGroupTitles,
+  normalizeExcludedSites,
+  createSiteExclusionMatcher,
+  classifyTabByRules,
+  partitionTabsByRuleMatch,
+  groupTitleMatchesName,
+  canonicalizeUrl,
+  explainClassification,
+  formatClassificationDiagnostic,
+  applyPlanEdits,
+  GROUPING_RESPONSE_SCHEMA,
+  MERGE_RESPONSE_SCHEMA,
+  validateGroupingPayload,
+  planGroupingBatches,
+  mergeBatchGroups,
+  snapshotTab,
+  diffTabDrift,
+  hasTabDrift,
+  describeTabDrift,
+  omitPlanTabs
 } from './tab_utils.js';
+import { captureWindowSnapshot, saveUndoSnapshot, loadUndoSnapshot, clearUndoSnapshot, restoreUndoSnapshot } from './undo.js';
+import {
+  appendRunHistory,
+  loadRunHistory,
+  diffWindowSnapshots,
+  describeRunChanges,
+  hasRunChanges,
+  RUN_MODE_LABELS
+} from './run_history.js';
+import {
+  AUTO_ORGANIZE_ALARM,
+  AUTO_ORGANIZE_DEFAULTS,
+  normalizeAutoOrganizeSettings,
+  isWithinQuietHours,
+  syncAutoOrganizeAlarm,
+  claimAutoRunSlot
+} from './auto_organize.js';
+import {
+  savePreviewPlan,
+  loadPreviewPlan,
+  deletePreviewPlan,
+  deleteExpiredPreviewPlans,
+  loadLastCompletionTimestamp,
+  recordCompletionTimestamp,
+  loadLiveSortRecord,
+  updateLiveSortRecord,
+  deleteLiveSortRecord
+} from './session_state.js';
+import { PRIVACY_DEFAULTS, normalizePrivacySettings, redactTabForLLM } from './privacy.js';
+import {
+  GROUPING_CACHE_DEFAULTS,
+  describeGroupingCacheContext,
+  loadGroupingCache,
+  splitCachedTabs,
+  saveGroupingAssignments
+} from './grouping_cache.js';
+import {
+  BUDGET_DEFAULTS,
+  normalizeMonthlyBudget,
+  createUsageTotals,
+  addUsage,
+  loadMonthlyUsage,
+  recordMonthlyUsage,
+  formatCost,
+  describeUsage
+} from './llm_usage.js';
 
 const RATE_LIMIT_INTERVAL_MS = 5000;
 const PREVIEW_TTL_MS = 5 * 60 * 1000;
+const LLM_BATCH_SIZE = 80;
+// Grouping replies list every tab id once plus a short name per group.
+const ESTIMATED_COMPLETION_TOKENS_PER_TAB = 4;
+const ESTIMATED_COMPLETION_TOKENS_PER_REQUEST = 50;
 const TAB_GROUP_ID_NONE =
   chrome.tabGroups && typeof chrome.tabGroups.TAB_GROUP_ID_NONE === 'number'
     ? chrome.tabGroups.TAB_GROUP_ID_NONE
     : -1;
 
 const DEFAULT_SYNC_SETTINGS = {
+  llmProvider: DEFAULT_PROVIDER,
   apiKey: '',
   model: DEFAULT_MODEL,
+  providerSettings: {},
+  llmTimeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+  llmMaxRetries: DEFAULT_MAX_RETRIES,
+  llmInputPricePerMTok: '',
+  llmOutputPricePerMTok: '',
+  llmGroupingStrategy: 'llm',
+  ...BUDGET_DEFAULTS,
+  ...GROUPING_CACHE_DEFAULTS,
   keepAtLeastOnePerDomain: true,
   preservePinned: true,
   maxTabsPerGroup: 6,
   dryRun: false,
   dryRunNoLLM: false,
-  userRulesJSON: ''
+  userRulesJSON: '',
+  organizeScope: 'current',
+  incrementalGroups: false,
+  lockedGroupTitles: [],
+  excludedSites: [],
+  liveSorting: false,
+  ...PRIVACY_DEFAULTS
 };
 
-let lastCompletionTimestamp = 0;
-const previewPlans = new Map();
 const ACTION_ICON_SIZES = [16, 32, 48, 128];
+const AUTO_RUN_COOLDOWN_MS = 2 * 60 * 1000;
+const AUTO_THRESHOLD_DELAY_MS = 5000;
+const AUTO_NOTIFICATION_PREFIX = 'auto-organize:';
+const activeLLMControllers = new Set();
+const COMMAND_PREVIEW_PREFIX = 'command-preview:';
+const COMMAND_DRIFT_PREFIX = 'command-drift:';
+const thresholdTimers = new Map();
+// Organizer runs in progress. Tabs they ungroup were not taken out of a group by the user.
+let organizerRunDepth = 0;
+const CONTEXT_MENU_ITEMS = Object.freeze({
+  'group-like-this': 'Group tabs like this one',
+  'close-duplicates-of-tab': 'Close duplicates of this tab',
+  'always-group-site': 'Always put this site in group…',
+  'explain-grouping': 'Explain why this tab was grouped here'
+});
 
 initializeActionIcon();
 chrome.runtime.onInstalled.addListener(() => {
   initializeActionIcon();
+  refreshAutoOrganizeAlarm();
+  registerContextMenus();
 });
 chrome.runtime.onStartup.addListener(() => {
   initializeActionIcon();
+  refreshAutoOrganizeAlarm();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && Object.keys(changes).some((key) => key in AUTO_ORGANIZE_DEFAULTS)) {
+    refreshAutoOrganizeAlarm();
+  }
+});
+
+if (chrome.alarms) {
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTO_ORGANIZE_ALARM) {
+      runAutoOrganize({ type: 'all' });
+    }
+  });
+}
+
+chrome.tabs.onCreated.addListener((tab) => {
+  if (tab.incognito || typeof tab.windowId !== 'number') {
+    return;
+  }
+  updateLiveSortRecord(tab.id, { pending: true });
+  // Wait for bursts of new tabs to settle and for the new tab to load before counting.
+  clearTimeout(thresholdTimers.get(tab.windowId));
+  thresholdTimers.set(
+    tab.windowId,
+    setTimeout(() => {
+      thresholdTimers.delete(tab.windowId);
+      checkTabThreshold(tab.windowId);
+    }, AUTO_THRESHOLD_DELAY_MS)
+  );
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.groupId === TAB_GROUP_ID_NONE && organizerRunDepth === 0) {
+    updateLiveSortRecord(tabId, { ungrouped: true });
+  }
+  if (changeInfo.status === 'complete') {
+    liveSortTab(tab);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  deleteLiveSortRecord(tabId);
 });
 
+if (chrome.notifications) {
+  chrome.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId.startsWith(AUTO_NOTIFICATION_PREFIX)) {
+      chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+      chrome.notifications.clear(notificationId);
+    }
+  });
+  chrome.notifications.onButtonClicked.addListener((notificationId) => {
+    if (notificationId.startsWith(COMMAND_PREVIEW_PREFIX)) {
+      chrome.notifications.clear(notificationId);
+      applyCommandPreview(notificationId.slice(COMMAND_PREVIEW_PREFIX.length));
+    } else if (notificationId.startsWith(COMMAND_DRIFT_PREFIX)) {
+      chrome.notifications.clear(notificationId);
+      applyCommandPreview(notificationId.slice(COMMAND_DRIFT_PREFIX.length), { acceptDrift: true });
+    }
+  });
+}
+
+if (chrome.commands) {
+  chrome.commands.onCommand.addListener((command) => {
+    handleCommand(command);
+  });
+}
+
+if (chrome.contextMenus) {
+  chrome.contextMenus.onClicked.addListener((info, tab) => {
+    handleContextMenuClick(info.menuItemId, tab);
+  });
+}
+
 async function initializeActionIcon() {
   if (!chrome.action || typeof chrome.action.setIcon !== 'function') {
     return;
@@ -119,7 +313,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'CLOSE_DUPLICATE_TABS') {
-    handleCloseDuplicateTabs()
+    handleCloseDuplicateTabs(message)
       .then((result) => sendResponse(result))
       .catch((error) => {
         console.error('[Tab Organizer AI] close duplicates error', error);
@@ -128,28 +322,82 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'CONSOLIDATE_WINDOWS') {
+    handleConsolidateWindows(message)
+      .then((result) => sendResponse(result))
+      .catch((error) => {
+        console.error('[Tab Organizer AI] consolidate error', error);
+        sendResponse({ success: false, error: error.message || 'Unexpected error' });
+      });
+    return true;
+  }
+
+  if (message.type === 'CANCEL_LLM_REQUEST') {
+    sendResponse(handleCancelLLMRequest());
+    return false;
+  }
+
+  if (message.type === 'PREVIEW_LLM_PAYLOAD') {
+    handlePreviewLLMPayload(message)
+      .then((result) => sendResponse(result))
+      .catch((error) => {
+        console.error('[Tab Organizer AI] payload preview error', error);
+        sendResponse({ success: false, error: error.message || 'Unexpected error' });
+      });
+    return true;
+  }
+
+  if (message.type === 'UNDO_LAST_RUN') {
+    handleUndoLastRun()
+      .then((result) => sendResponse(result))
+      .catch((error) => {
+        console.error('[Tab Organizer AI] undo error', error);
+        sendResponse({ success: false, error: error.message || 'Unexpected error' });
+      });
+    return true;
+  }
+
   return false;
 });
 
 /**
  * Process organize requests coming from the popup UI.
- * @param {{ prompt?: string, confirm?: boolean, token?: string }} message
+ * A confirm may carry `edits` made in the preview; they replace the stored plan's closures and groups.
+ * When tabs drifted since the preview, the confirm reports the drift instead of applying unless
+ * `acceptDrift` is set, in which case the drifted tabs are left alone.
+ * Once the monthly LLM budget is used up, the run falls back to the No-LLM organizer and the
+ * response carries `fallback: 'nollm'` with that organizer's result.
+ * @param {{ prompt?: string, confirm?: boolean, token?: string, edits?: import('./tab_utils.js').PlanEdits, acceptDrift?: boolean, scope?: any }} message
  */
 async function handleOrganizeMessage(message) {
   const preferences = await loadPreferences();
-  cleanupExpiredPreviews();
+  await cleanupExpiredPreviews();
 
-  if (!preferences.apiKey) {
-    throw new Error('Add your OpenAI API key in the extension options before organizing.');
+  const missingSetting = findMissingLLMSetting(preferences.llm);
+  if (missingSetting) {
+    throw new Error(`Add ${missingSetting} in the extension options before organizing.`);
   }
 
   const userPrompt = typeof message.prompt === 'string' ? message.prompt.trim() : '';
   const isConfirm = Boolean(message.confirm);
+  const scope = normalizeOrganizeScope(message.scope || preferences.organizeScope);
+
+  const budgetBlock = isConfirm ? null : await findBudgetBlock(preferences);
+  if (budgetBlock) {
+    // Over budget: organize with the deterministic engine instead, keeping the dry-run preference.
+    const result = await handleOrganizeTabsNoLLM({ scope, dryRun: preferences.dryRun || preferences.dryRunNoLLM });
+    return {
+      ...result,
+      fallback: 'nollm',
+      message: `${budgetBlock} Using the No-LLM organizer instead. ${result.message || ''}`.trim()
+    };
+  }
 
   if (preferences.dryRun && !isConfirm) {
-    const plan = await buildPlan(userPrompt, preferences, { skipRateLimit: false });
-    const token = crypto.randomUUID();
-    previewPlans.set(token, { plan, createdAt: Date.now() });
+    const plan = await runCancellableLLMTask((signal) =>
+      buildPlan(userPrompt, preferences, { skipRateLimit: false, scope, signal })
+    );
+    const token = await savePreviewPlan('llm', plan);
     return {
       success: true,
       preview: true,
@@ -160,139 +408,333 @@ async function handleOrganizeMessage(message) {
   }
 
   if (isConfirm && message.token) {
-    const stored = previewPlans.get(message.token);
-    if (!stored) {
+    const stored = await loadPreviewPlan(message.token, PREVIEW_TTL_MS);
+    if (!stored || stored.kind !== 'llm') {
       throw new Error('Preview expired. Please analyze the tabs again.');
     }
-    previewPlans.delete(message.token);
-    const applyResult = await applyPlan(stored.plan);
+    const windowIds = stored.plan.windows.map((entry) => entry.windowId);
+    const drift = await detectPlanDrift(stored.plan.snapshot, windowIds, preferences);
+    if (hasTabDrift(drift) && !message.acceptDrift) {
+      return buildDriftResponse(drift, message.token);
+    }
+    await deletePreviewPlan(message.token);
+
+    let plan = message.edits ? applyEditsToPlan(stored.plan, message.edits) : stored.plan;
+    if (drift.driftedTabIds.length) {
+      plan = {
+        ...rewritePlanGroups(plan, (generic) => omitPlanTabs(generic, drift.driftedTabIds)),
+        skipTabIds: drift.driftedTabIds
+      };
+    }
+    const applyResult = await runAsOrganizer(() => applyPlan(plan));
     return { success: true, preview: false, ...applyResult };
   }
 
-  const plan = await buildPlan(userPrompt, preferences, { skipRateLimit: false });
-  const applyResult = await applyPlan(plan);
+  const plan = await runCancellableLLMTask((signal) =>
+    buildPlan(userPrompt, preferences, { skipRateLimit: false, scope, signal })
+  );
+  const applyResult = await runAsOrganizer(() => applyPlan(plan));
   return { success: true, preview: false, ...applyResult };
 }
 
+/**
+ * Overlay the preview edits on a stored LLM plan.
+ * @param {Awaited<ReturnType<typeof buildPlan>>} plan
+ * @param {import('./tab_utils.js').PlanEdits} edits
+ */
+function applyEditsToPlan(plan, edits) {
+  return {
+    ...rewritePlanGroups(plan, (generic) => applyPlanEdits(generic, edits, plan.tabLookup)),
+    edited: true
+  };
+}
+
+/**
+ * Rewrite the closures and per-window groups of an LLM plan through a helper that works on the
+ * `{ tabsToClose, windows: [{ windowId, groups }] }` shape shared with the No-LLM organizer.
+ * @param {Awaited<ReturnType<typeof buildPlan>>} plan
+ * @param {(generic: { tabsToClose: any[], windows: any[] }) => { tabsToClose: any[], windows: Array<{ groups: any[] }> }} rewrite
+ */
+function rewritePlanGroups(plan, rewrite) {
+  const result = rewrite({
+    tabsToClose: plan.dedupe.tabsToClose,
+    windows: plan.windows.map((entry) => ({
+      windowId: entry.windowId,
+      groups: entry.grouping.groups,
+      preservedGroupIds: entry.preservedGroupIds
+    }))
+  });
+  return {
+    ...plan,
+    dedupe: { ...plan.dedupe, tabsToClose: result.tabsToClose },
+    windows: plan.windows.map((entry, index) => ({
+      ...entry,
+      grouping: { ...entry.grouping, groups: result.windows[index].groups }
+    }))
+  };
+}
+
 /**
  * Deterministic tab organization without the LLM dependency.
- * @param {{ dryRun?: boolean, userRules?: string }} message
+ * Duplicates are detected across every window in scope; each window is grouped on its own.
+ * Dry runs return a preview token; `confirm` with that token applies exactly the previewed plan,
+ * overlaid with any `edits` made in the preview. Drift is handled as in `handleOrganizeMessage`.
+ * @param {{ dryRun?: boolean, userRules?: string, scope?: any, confirm?: boolean, token?: string, edits?: import('./tab_utils.js').PlanEdits, acceptDrift?: boolean, trigger?: 'auto' }} message
  */
 async function handleOrganizeTabsNoLLM(message) {
   const preferences = await loadPreferences();
-  const dryRun = typeof message.dryRun === 'boolean' ? message.dryRun : Boolean(preferences.dryRunNoLLM);
-  const rulesSource = typeof message.userRules === 'string' ? message.userRules : preferences.userRulesJSON || '';
-  const userRules = parseUserRulesJSON(rulesSource);
+  await cleanupExpiredPreviews();
 
-  let currentWindow;
-  try {
-    currentWindow = await chrome.windows.getCurrent({ populate: false });
-  } catch (error) {
-    throw new Error('Unable to determine the current window.');
+  if (message.confirm) {
+    const stored = await loadPreviewPlan(message.token, PREVIEW_TTL_MS);
+    if (!stored || stored.kind !== 'nollm') {
+      throw new Error('Preview expired. Please preview the plan again.');
+    }
+    const windowIds = stored.plan.windowPlans.map((entry) => entry.windowId);
+    const drift = await detectPlanDrift(stored.plan.snapshot, windowIds, preferences);
+    if (hasTabDrift(drift) && !message.acceptDrift) {
+      return buildDriftResponse(drift, message.token);
+    }
+    await deletePreviewPlan(message.token);
+    return applyNoLlmPreview(stored.plan, message.edits, drift.driftedTabIds, preferences);
   }
 
-  if (!currentWindow || typeof currentWindow.id !== 'number') {
-    throw new Error('Unable to determine the current window.');
-  }
+  const dryRun = typeof message.dryRun === 'boolean' ? message.dryRun : Boolean(preferences.dryRunNoLLM);
+  const rulesSource = typeof message.userRules === 'string' ? message.userRules : preferences.userRulesJSON || '';
+  const userRules = parseUserRulesJSON(rulesSource);
+  const scope = normalizeOrganizeScope(message.scope || preferences.organizeScope);
 
-  if (currentWindow.incognito) {
+  const windows = await loadScopedWindows(scope, preferences);
+  if (windows.some((entry) => entry.incognito)) {
     throw new Error('The no-LLM organizer is unavailable in incognito windows.');
   }
 
-  const tabs = await chrome.tabs.query({ windowId: currentWindow.id });
-  if (!tabs.length) {
-    throw new Error('No tabs were found in the current window.');
-  }
-
+  const tabs = windows.flatMap((entry) => entry.tabs);
   const dedupePlan = dedupeTabs(tabs, {
     preservePinned: preferences.preservePinned !== false,
     keepAtLeastOnePerDomain: preferences.keepAtLeastOnePerDomain !== false
   });
 
-  const groupingMap = groupByRules(dedupePlan.survivors, {
-    userRules,
-    maxTabsPerGroup: preferences.maxTabsPerGroup,
-    preservePinned: preferences.preservePinned !== false
-  });
-
-  const survivorLookup = new Map(dedupePlan.survivors.map((tab) => [tab.id, tab]));
-  const colorMap = groupingMap.colors instanceof Map ? groupingMap.colors : new Map();
-  const groupingArray = Array.from(groupingMap.entries()).map(([name, tabIds]) => {
-    const tabsDetailed = tabIds
-      .map((id) => survivorLookup.get(id))
-      .filter(Boolean)
-      .map((tab) => ({ id: tab.id, title: tab.title, url: tab.url }));
+  const windowPlans = windows.map((entry) => {
+    const survivors = dedupePlan.survivors.filter((tab) => tab.windowId === entry.windowId);
+    const { existingGroups, freeTabs } = partitionIncrementalWindow(entry, survivors, preferences);
     return {
-      name,
-      tabIds: tabIds.slice(),
-      color: colorMap.get(name) || null,
-      tabs: tabsDetailed
+      windowId: entry.windowId,
+      label: entry.label,
+      groups: attachToExistingGroups(
+        buildRuleGroups(freeTabs, userRules, preferences),
+        existingGroups,
+        preferences.maxTabsPerGroup
+      ),
+      preservedGroupIds: existingGroups.map((group) => group.id)
     };
   });
 
-  assignUniqueGroupColors(groupingArray);
+  if (!dryRun) {
+    return runNoLlmPlan(windowPlans, dedupePlan, preferences, { trigger: message.trigger });
+  }
 
-  const summary = groupingArray.map((group) => ({ name: group.name, count: group.tabIds.length, color: group.color }));
+  const groupingArray = windowPlans.flatMap((entry) => entry.groups);
   const closedPlanned = dedupePlan.tabsToClose.filter((item) => typeof item.id === 'number');
-  const statusMessage = buildNoLlmStatus({
-    closedCount: closedPlanned.length,
-    groupCount: groupingArray.length,
-    dryRun
+  const token = await savePreviewPlan('nollm', {
+    windowPlans,
+    dedupePlan,
+    snapshot: { tabs, groups: windows.flatMap((entry) => entry.groups) }
   });
 
-  if (dryRun) {
-    return {
-      success: true,
-      dryRun: true,
-      closed: closedPlanned.length,
-      groups: summary,
-      message: statusMessage,
-      plan: {
-        duplicates: dedupePlan.tabsToClose.map((item) => ({
-          id: item.id,
-          title: item.title,
-          url: item.url,
-          duplicateOf: item.duplicateOf
-        })),
-        groups: groupingArray.map((group) => ({
+  const tabWindows = new Map(tabs.map((tab) => [tab.id, tab.windowId]));
+  return {
+    success: true,
+    dryRun: true,
+    token,
+    closed: closedPlanned.length,
+    groups: groupingArray.map((group) => ({ name: group.name, count: group.tabIds.length, color: group.color })),
+    message: buildNoLlmStatus({ closedCount: closedPlanned.length, groupCount: groupingArray.length, dryRun: true }),
+    plan: {
+      duplicates: dedupePlan.tabsToClose.map((item) => ({
+        id: item.id,
+        title: item.title,
+        url: item.url,
+        duplicateOf: item.duplicateOf,
+        windowId: tabWindows.get(item.id)
+      })),
+      groups: groupingArray.map((group) => ({
+        name: group.name,
+        color: group.color,
+        count: group.tabIds.length,
+        existing: Number.isInteger(group.existingGroupId),
+        existingGroupId: group.existingGroupId,
+        tabs: group.tabs
+      })),
+      windows: windowPlans.map((entry, index) => ({
+        windowId: entry.windowId,
+        label: entry.label,
+        groups: entry.groups.map((group) => ({
           name: group.name,
           color: group.color,
           count: group.tabIds.length,
+          existing: Number.isInteger(group.existingGroupId),
+          existingGroupId: group.existingGroupId,
           tabs: group.tabs
-        }))
-      }
-    };
-  }
+        })),
+        ungrouped: listUngroupedPlanTabs(windows[index].tabs, entry.groups, dedupePlan.tabsToClose, {
+          preservePinned: preferences.preservePinned,
+          preservedGroupIds: entry.preservedGroupIds
+        })
+      }))
+    }
+  };
+}
 
-  const applyResult = await applyNoLlmPlan(currentWindow.id, dedupePlan, groupingArray, {
-    preservePinned: preferences.preservePinned !== false
-  });
+/**
+ * Apply a stored No-LLM preview, leaving alone the tabs that drifted since it was built.
+ * @param {{ windowPlans: any[], dedupePlan: any, snapshot: { tabs: any[], groups: any[] } }} plan
+ * @param {import('./tab_utils.js').PlanEdits|undefined} edits
+ * @param {number[]} driftedTabIds
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ */
+async function applyNoLlmPreview(plan, edits, driftedTabIds, preferences) {
+  let { windowPlans, dedupePlan } = plan;
+  const rewrite = (result) => {
+    dedupePlan = { ...dedupePlan, tabsToClose: result.tabsToClose };
+    windowPlans = windowPlans.map((entry, index) => ({ ...entry, groups: result.windows[index].groups }));
+  };
+  if (edits) {
+    const tabLookup = new Map(plan.snapshot.tabs.map((tab) => [tab.id, tab]));
+    rewrite(applyPlanEdits({ tabsToClose: dedupePlan.tabsToClose, windows: windowPlans }, edits, tabLookup));
+  }
+  if (driftedTabIds.length) {
+    rewrite(omitPlanTabs({ tabsToClose: dedupePlan.tabsToClose, windows: windowPlans }, driftedTabIds));
+  }
+  return runNoLlmPlan(windowPlans, dedupePlan, preferences, { edited: Boolean(edits), skipTabIds: driftedTabIds });
+}
 
-  const messageAfterApply = buildNoLlmStatus({
-    closedCount: applyResult.closedCount,
-    groupCount: applyResult.groups.length,
-    dryRun: false
-  });
+/**
+ * Apply No-LLM window plans and describe the outcome for the caller.
+ * @param {any[]} windowPlans
+ * @param {any} dedupePlan
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * @param {{ edited?: boolean, skipTabIds?: number[], trigger?: 'auto' }} options
+ */
+async function runNoLlmPlan(windowPlans, dedupePlan, preferences, options) {
+  const applyResult = await runAsOrganizer(() =>
+    applyNoLlmPlan(windowPlans, dedupePlan, {
+      preservePinned: preferences.preservePinned !== false,
+      lockedGroupTitles: preferences.lockedGroupTitles,
+      excludedSites: preferences.excludedSites,
+      edited: options.edited,
+      skipTabIds: options.skipTabIds,
+      trigger: options.trigger
+    })
+  );
 
   return {
     success: true,
     dryRun: false,
     closed: applyResult.closedCount,
     groups: applyResult.groups,
-    message: messageAfterApply
+    message: buildNoLlmStatus({
+      closedCount: applyResult.closedCount,
+      groupCount: applyResult.groups.length,
+      dryRun: false
+    })
   };
 }
 
 /**
- * Close duplicate tabs immediately using deterministic dedupe rules.
+ * Compare the live windows with the snapshot a preview was built from.
+ * @param {{ tabs: any[], groups: Array<{ id: number, title: string, color: string|null }> }} snapshot
+ * @param {number[]} windowIds
+ * @param {TabProtection} protection
  */
-async function handleCloseDuplicateTabs() {
-  const preferences = await loadPreferences();
-  const { windowId, tabs } = await fetchCurrentWindowTabs();
+async function detectPlanDrift(snapshot, windowIds, protection) {
+  const live = await loadLiveWindowState(windowIds, protection);
+  return diffTabDrift(snapshot, {
+    tabs: live.tabs.map((tab) => snapshotTab(tab)),
+    groups: live.groups.map((group) => ({ id: group.id, title: group.title || '', color: group.color || null }))
+  });
+}
+
+/**
+ * Report drift back to the caller while keeping the preview so it can still be applied.
+ * @param {import('./tab_utils.js').TabDrift} drift
+ * @param {string} token
+ */
+function buildDriftResponse(drift, token) {
+  const { driftedTabIds, ...details } = drift;
+  return {
+    success: true,
+    stale: true,
+    token,
+    drift: details,
+    message: `Your tabs changed since the preview: ${describeTabDrift(drift)}. Apply anyway to leave those tabs as they are.`
+  };
+}
+
+/**
+ * Run the rules engine for one window and shape the result for preview and apply.
+ * @param {any[]} survivors Tabs that survive dedupe, all from the same window.
+ * @param {ReturnType<typeof parseUserRulesJSON>} userRules
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * Each tab carries the classification diagnostic that explains its placement.
+ * @returns {Array<{ name: string, tabIds: number[], color: string|null, tabs: Array<{id:number,title:string,url:string,diagnostic:any}> }>}
+ */
+function buildRuleGroups(survivors, userRules, preferences) {
+  if (!survivors.length) {
+    return [];
+  }
+
+  const groupingMap = groupByRules(survivors, {
+    userRules,
+    maxTabsPerGroup: preferences.maxTabsPerGroup,
+    preservePinned: preferences.preservePinned !== false
+  });
+
+  const survivorLookup = new Map(survivors.map((tab) => [tab.id, tab]));
+  const colorMap = groupingMap.colors instanceof Map ? groupingMap.colors : new Map();
+  const diagnostics = groupingMap.diagnostics instanceof Map ? groupingMap.diagnostics : new Map();
+  const groupingArray = Array.from(groupingMap.entries()).map(([name, tabIds]) => {
+    const tabsDetailed = tabIds
+      .map((id) => survivorLookup.get(id))
+      .filter(Boolean)
+      .map((tab) => ({ id: tab.id, title: tab.title, url: tab.url, diagnostic: diagnostics.get(tab.id) || null }));
+    return {
+      name,
+      tabIds: tabIds.slice(),
+      color: colorMap.get(name) || null,
+      tabs: tabsDetailed
+    };
+  });
+
+  return assignUniqueGroupColors(groupingArray);
+}
 
-  if (!tabs.length) {
-    throw new Error('No tabs were found in the current window.');
+/**
+ * In incremental mode, tabs already filed in a tab group stay where they are and only the
+ * remaining tabs are planned. Otherwise every surviving tab is free to regroup.
+ * @param {{ tabs: any[], groups: Array<{ id: number, title: string, color: string|null }> }} entry
+ * @param {any[]} survivors Tabs of the window that survive dedupe.
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ */
+function partitionIncrementalWindow(entry, survivors, preferences) {
+  if (!preferences.incrementalGroups) {
+    return { existingGroups: [], freeTabs: survivors };
   }
+  const existingGroups = describeExistingGroups(entry.tabs, entry.groups);
+  const fixedTabIds = new Set(existingGroups.flatMap((group) => group.tabIds));
+  return { existingGroups, freeTabs: survivors.filter((tab) => !fixedTabIds.has(tab.id)) };
+}
+
+/**
+ * Close duplicate tabs immediately using deterministic dedupe rules.
+ * @param {{ scope?: any }} [message]
+ */
+async function handleCloseDuplicateTabs(message = {}) {
+  const preferences = await loadPreferences();
+  const scope = normalizeOrganizeScope(message.scope || preferences.organizeScope);
+  const windows = await loadScopedWindows(scope, preferences);
+  const windowIds = windows.map((entry) => entry.windowId);
+  const tabs = windows.flatMap((entry) => entry.tabs);
 
   const dedupePlan = computeDedupePlan(tabs, {
     preservePinned: preferences.preservePinned !== false,
@@ -307,7 +749,7 @@ async function handleCloseDuplicateTabs() {
     return { success: true, closed: 0, message: 'No duplicate tabs detected.' };
   }
 
-  const currentTabs = await chrome.tabs.query({ windowId });
+  const currentTabs = await queryWindowTabs(windowIds, preferences);
   const currentIds = new Set(currentTabs.map((tab) => tab.id));
   const removalIds = allRemovalIds.filter((id) => currentIds.has(id));
 
@@ -315,6 +757,8 @@ async function handleCloseDuplicateTabs() {
     return { success: true, closed: 0, message: 'No duplicate tabs detected.' };
   }
 
+  const undoSnapshot = await recordUndoSnapshot(windowIds, RUN_MODE_LABELS.dedupe);
+
   try {
     await chrome.tabs.remove(removalIds);
   } catch (error) {
@@ -322,72 +766,189 @@ async function handleCloseDuplicateTabs() {
     throw new Error('Unable to close duplicate tabs.');
   }
 
+  await recordRunHistory({
+    mode: 'dedupe',
+    before: undoSnapshot,
+    closeReasons: buildCloseReasonMap(dedupePlan.tabsToClose),
+    trigger: message.trigger
+  });
+
   const closedCount = removalIds.length;
-  const message = `Closed ${closedCount} duplicate tab${closedCount === 1 ? '' : 's'}.`;
-  return { success: true, closed: closedCount, message };
+  return {
+    success: true,
+    closed: closedCount,
+    message: `Closed ${closedCount} duplicate tab${closedCount === 1 ? '' : 's'}.`
+  };
 }
 
 /**
- * Create a detailed organization plan without mutating tabs.
- * @param {string} userPrompt
- * @param {ReturnType<typeof loadPreferences>} preferences
- * @param {{skipRateLimit?: boolean}} [options]
+ * Gather related tabs from every normal window into one window per group, or into a target window.
+ * The first call always returns a preview token; applying requires `confirm` with that token.
+ * @param {{ destination?: 'perGroup'|'target', targetWindowId?: number, engine?: 'rules'|'llm', prompt?: string, userRules?: string, confirm?: boolean, token?: string }} message
  */
-async function buildPlan(userPrompt, preferences, options = {}) {
-  const { windowId, tabs } = await fetchCurrentWindowTabs();
-  if (!tabs.length) {
-    throw new Error('No tabs were found in the current window.');
+async function handleConsolidateWindows(message) {
+  const preferences = await loadPreferences();
+  await cleanupExpiredPreviews();
+
+  if (message.confirm) {
+    const stored = await loadPreviewPlan(message.token, PREVIEW_TTL_MS);
+    if (!stored || stored.kind !== 'consolidate') {
+      throw new Error('Preview expired. Please preview the consolidation again.');
+    }
+    await deletePreviewPlan(message.token);
+    const applyResult = await runAsOrganizer(() => applyConsolidationPlan(stored.plan));
+    return { success: true, preview: false, ...applyResult };
   }
 
-  const dedupe = computeDedupePlan(tabs, preferences);
-  const survivorsSet = new Set(dedupe.survivors.map((tab) => tab.id));
-  const survivors = tabs.filter((tab) => survivorsSet.has(tab.id));
+  let engine = message.engine === 'llm' ? 'llm' : 'rules';
+  const missingSetting = engine === 'llm' ? findMissingLLMSetting(preferences.llm) : null;
+  if (missingSetting) {
+    throw new Error(`Add ${missingSetting} in the extension options before organizing.`);
+  }
+  const budgetBlock = engine === 'llm' ? await findBudgetBlock(preferences) : null;
+  if (budgetBlock) {
+    engine = 'rules';
+  }
+
+  const plan = await runCancellableLLMTask((signal) =>
+    buildConsolidationPlan(preferences, {
+      engine,
+      destination: message.destination === 'target' ? 'target' : 'perGroup',
+      targetWindowId: Number.isInteger(message.targetWindowId) ? message.targetWindowId : undefined,
+      userPrompt: typeof message.prompt === 'string' ? message.prompt.trim() : '',
+      userRules: parseUserRulesJSON(typeof message.userRules === 'string' ? message.userRules : preferences.userRulesJSON),
+      signal
+    })
+  );
+
+  const movingCount = plan.destinations.reduce((total, entry) => total + entry.moveTabIds.length, 0);
+  const budgetNote = budgetBlock ? `${budgetBlock} Grouped with rules instead. ` : '';
+  if (!movingCount && !plan.dedupe.tabsToClose.length) {
+    return { success: true, preview: true, token: null, summary: null, message: `${budgetNote}Your windows are already consolidated.` };
+  }
+
+  const token = await savePreviewPlan('consolidate', plan);
+  return {
+    success: true,
+    preview: true,
+    token,
+    summary: plan.preview,
+    message:
+      budgetNote +
+      buildConsolidationMessage({
+        closedCount: plan.dedupe.tabsToClose.length,
+        movedCount: movingCount,
+        windowCount: plan.destinations.length,
+        newWindowCount: plan.destinations.filter((entry) => entry.windowId === null).length,
+        dryRun: true
+      }) +
+      describePlanUsage(plan.usage)
+  };
+}
+
+/**
+ * Group every normal window's tabs together and decide where each group should live.
+ * In incremental mode, tabs already in a tab group stay put and the other tabs may join those
+ * groups, as in a regular run.
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * @param {{ engine: 'rules'|'llm', destination: 'perGroup'|'target', targetWindowId?: number, userPrompt: string, userRules: ReturnType<typeof parseUserRulesJSON>, signal?: AbortSignal }} options
+ */
+async function buildConsolidationPlan(preferences, options) {
+  const windows = await loadScopedWindows({ type: 'all' }, preferences);
+  const tabs = windows.flatMap((entry) => entry.tabs);
   const tabLookup = new Map(tabs.map((tab) => [tab.id, tab]));
+  const labels = new Map(windows.map((entry) => [entry.windowId, entry.label]));
 
-  let grouping = { groups: [], assignedTabIds: new Set(), notes: '' };
-  if (survivors.length >= 2) {
-    const groupingResult = await fetchGroupingFromLLM({
-      windowId,
-      tabs: survivors,
-      preferences,
-      userPrompt,
-      skipRateLimit: Boolean(options.skipRateLimit)
-    });
-    const sanitized = sanitizeGroupPlan(groupingResult.groups, survivors, preferences);
-    grouping = {
-      groups: sanitized.groups,
-      assignedTabIds: sanitized.assignedTabIds,
-      notes: groupingResult.notes || ''
-    };
+  const dedupe = computeDedupePlan(tabs, preferences);
+  const survivors = dedupe.survivors;
+  const usage = createUsageTotals();
+
+  const existingGroups = [];
+  const existingGroupWindows = new Map();
+  const freeTabs = [];
+  for (const entry of windows) {
+    const partition = partitionIncrementalWindow(
+      entry,
+      survivors.filter((tab) => tab.windowId === entry.windowId),
+      preferences
+    );
+    partition.existingGroups.forEach((group) => existingGroupWindows.set(group.id, entry.windowId));
+    existingGroups.push(...partition.existingGroups);
+    freeTabs.push(...partition.freeTabs);
   }
 
-  const preview = summarizePlanForPreview({
-    tabsToClose: dedupe.tabsToClose,
-    grouping,
-    tabLookup,
-    notes: grouping.notes
-  });
+  let groups = [];
+  if (options.engine === 'llm') {
+    if (freeTabs.length >= (existingGroups.length ? 1 : 2)) {
+      const groupingResult = await fetchPlannedGrouping({
+        windowId: null,
+        tabs: freeTabs,
+        existingGroups,
+        preferences,
+        userPrompt: options.userPrompt,
+        skipRateLimit: false,
+        signal: options.signal,
+        usage
+      });
+      const sanitized = sanitizeGroupPlan(groupingResult.groups, freeTabs, preferences);
+      groups = assignUniqueGroupColors(sanitized.groups.map((group) => ({ ...group, color: null })));
+    }
+  } else {
+    groups = buildRuleGroups(freeTabs, options.userRules, preferences);
+  }
+  groups = attachToExistingGroups(groups, existingGroups, preferences.maxTabsPerGroup);
+
+  let targetWindowId;
+  if (options.destination === 'target') {
+    const current = windows.find((entry) => entry.current);
+    targetWindowId = labels.has(options.targetWindowId)
+      ? options.targetWindowId
+      : current
+      ? current.windowId
+      : windows[0].windowId;
+  }
+
+  const destinations = planWindowConsolidation(groups, survivors, { targetWindowId, existingGroupWindows });
+  const closing = dedupe.tabsToClose.map((item) => ({ title: item.title, url: item.url }));
+  const preview = {
+    closing,
+    groups: destinations.flatMap((entry) => summarizeDestinationGroups(entry, tabLookup)),
+    windows: destinations.map((entry) => ({
+      windowId: entry.windowId,
+      label: describeDestination(entry, labels),
+      closing: [],
+      groups: summarizeDestinationGroups(entry, tabLookup)
+    })),
+    notes: ''
+  };
+  if (preview.windows.length && closing.length) {
+    preview.windows.unshift({ windowId: null, label: 'Duplicates', closing, groups: [] });
+  }
 
   return {
-    windowId,
-    tabs,
-    preferences,
+    windowIds: windows.map((entry) => entry.windowId),
+    destinations,
+    preservedGroupIds: existingGroups.map((group) => group.id),
     dedupe,
-    grouping,
-    tabLookup,
-    preview,
-    userPrompt
+    preferences,
+    usage,
+    preview
   };
 }
 
 /**
- * Apply the stored plan to the live Chrome tabs.
- * @param {{ windowId: number, dedupe: any, grouping: any, preferences: any }} plan
+ * Close duplicates, move every group into its destination window, and regroup it there.
+ * Tab groups in `preservedGroupIds` are never dissolved.
+ * @param {{ windowIds: number[], destinations: ReturnType<typeof planWindowConsolidation>, preservedGroupIds?: number[], dedupe: any, preferences: any }} plan
  */
-async function applyPlan(plan) {
-  const { windowId, dedupe, grouping, preferences } = plan;
-
-  const currentTabs = await chrome.tabs.query({ windowId });
+async function applyConsolidationPlan(plan) {
+  const { windowIds, destinations, dedupe, preferences } = plan;
+  const preservedGroupIds = new Set(plan.preservedGroupIds || []);
+  const undoSnapshot = await recordUndoSnapshot(windowIds, RUN_MODE_LABELS.consolidate);
+  // Groups may have been locked or sites excluded while the preview was open, so read both lists fresh.
+  const protection = await loadPreferences();
+
+  const currentTabs = await queryWindowTabs(windowIds, protection);
   const tabMap = new Map(currentTabs.map((tab) => [tab.id, tab]));
 
   const removalIds = [];
@@ -402,47 +963,810 @@ async function applyPlan(plan) {
     try {
       await chrome.tabs.remove(removalIds);
     } catch (error) {
-      console.warn('Failed to remove some duplicate tabs', error);
+      console.warn('Failed to remove duplicate tabs during consolidation', error);
     }
   }
 
-  const tabsAfterRemoval = await chrome.tabs.query({ windowId });
-  const afterRemovalMap = new Map(tabsAfterRemoval.map((tab) => [tab.id, tab]));
-  const plannedAssignments = [];
-  const assignedTabs = new Set();
+  const liveTabs = new Map((await queryWindowTabs(windowIds, protection)).map((tab) => [tab.id, tab]));
+  const touchedWindowIds = new Set(windowIds);
+  const assigned = new Set();
+  const appliedGroups = [];
+  let movedCount = 0;
+  let newWindowCount = 0;
 
-  const colorizedGroups = assignUniqueGroupColors(
-    grouping.groups.map((group) => ({ ...group }))
-  );
+  for (const destination of destinations) {
+    const tabIds = destination.tabIds.filter((id) => {
+      const tab = liveTabs.get(id);
+      return tab && !(preferences.preservePinned && tab.pinned);
+    });
+    if (!tabIds.length) continue;
 
-  for (const group of colorizedGroups) {
-    const ids = [];
-    for (const tabId of group.tabIds) {
-      if (assignedTabs.has(tabId)) continue;
-      const tab = afterRemovalMap.get(tabId);
-      if (!tab) continue;
-      if (preferences.preservePinned && tab.pinned) continue;
-      ids.push(tabId);
-      assignedTabs.add(tabId);
-    }
-    if (!ids.length) continue;
     try {
-      const groupId = await chrome.tabs.group({ tabIds: ids });
-      const updatePayload = { title: group.name };
-      if (group.color) {
-        updatePayload.color = group.color;
-      }
-      await chrome.tabGroups.update(groupId, updatePayload);
-      plannedAssignments.push({ groupId, name: group.name, tabIds: ids, color: group.color || null });
+      await chrome.tabs.ungroup(tabIds);
     } catch (error) {
-      console.warn('Failed to apply tab group', group, error);
+      console.warn('Failed to ungroup tabs before moving', error);
+    }
+
+    let windowId = destination.windowId;
+    let seedTabId = null;
+    if (windowId === null || !(await windowExists(windowId))) {
+      try {
+        // Opening the window with one of the tabs avoids leaving a stray New Tab page behind.
+        seedTabId = tabIds[0];
+        const created = await chrome.windows.create({ tabId: seedTabId, focused: false });
+        windowId = created.id;
+        touchedWindowIds.add(windowId);
+        newWindowCount += 1;
+        movedCount += 1;
+      } catch (error) {
+        console.warn('Failed to open a window for consolidation', destination.key, error);
+        continue;
+      }
+    }
+
+    const toMove = tabIds.filter((id) => id !== seedTabId && liveTabs.get(id).windowId !== windowId);
+    if (toMove.length) {
+      try {
+        await chrome.tabs.move(toMove, { windowId, index: -1 });
+        movedCount += toMove.length;
+      } catch (error) {
+        console.warn('Failed to move tabs during consolidation', destination.key, error);
+      }
+    }
+
+    for (const group of destination.groups) {
+      const ids = group.tabIds.filter((id) => tabIds.includes(id));
+      if (!ids.length) continue;
+      try {
+        await applyGroupToWindow(group, ids, windowId);
+        ids.forEach((id) => assigned.add(id));
+        appliedGroups.push({ name: group.name, count: ids.length, color: group.color || null, windowId });
+      } catch (error) {
+        console.warn('Failed to group consolidated tabs', group, error);
+      }
     }
   }
 
-  // Ungroup tabs that are no longer assigned to a group.
-  for (const tab of tabsAfterRemoval) {
+  const remainingWindowIds = [];
+  for (const windowId of touchedWindowIds) {
+    if (await windowExists(windowId)) {
+      remainingWindowIds.push(windowId);
+    }
+  }
+
+  for (const tab of await queryWindowTabs(remainingWindowIds, protection)) {
     if (tab.groupId === TAB_GROUP_ID_NONE) continue;
-    if (assignedTabs.has(tab.id)) continue;
+    if (assigned.has(tab.id)) continue;
+    if (preferences.preservePinned && tab.pinned) continue;
+    if (preservedGroupIds.has(tab.groupId)) continue;
+    try {
+      await chrome.tabs.ungroup(tab.id);
+    } catch (error) {
+      console.warn('Failed to ungroup tab during consolidation', tab.id, error);
+    }
+  }
+
+  for (const windowId of remainingWindowIds) {
+    await cleanupEmptyGroups(windowId);
+  }
+
+  await recordRunHistory({
+    mode: 'consolidate',
+    before: undoSnapshot,
+    closeReasons: buildCloseReasonMap(dedupe.tabsToClose),
+    windowIds: Array.from(touchedWindowIds),
+    usage: summarizeRunUsage(plan.usage, preferences)
+  });
+
+  return {
+    message: buildConsolidationMessage({
+      closedCount: removalIds.length,
+      movedCount,
+      windowCount: remainingWindowIds.length,
+      newWindowCount,
+      dryRun: false
+    }),
+    details: {
+      closedCount: removalIds.length,
+      movedCount,
+      groups: appliedGroups
+    }
+  };
+}
+
+/**
+ * Resolve a consolidation destination into preview groups.
+ * @param {ReturnType<typeof planWindowConsolidation>[number]} destination
+ * @param {Map<number, any>} tabLookup
+ */
+function summarizeDestinationGroups(destination, tabLookup) {
+  return destination.groups.map((group) => ({
+    name: group.name,
+    tabs: group.tabIds
+      .map((id) => tabLookup.get(id))
+      .filter(Boolean)
+      .map((tab) => ({ title: tab.title, url: tab.url }))
+  }));
+}
+
+/**
+ * Label a consolidation destination for the preview.
+ * @param {ReturnType<typeof planWindowConsolidation>[number]} destination
+ * @param {Map<number, string>} labels
+ */
+function describeDestination(destination, labels) {
+  const moving = destination.moveTabIds.length;
+  const movingPart = moving ? `${moving} tab${moving === 1 ? '' : 's'} moving in` : 'already in place';
+  const windowLabel = destination.windowId === null ? 'New window' : labels.get(destination.windowId) || 'Window';
+  return `${windowLabel} – ${destination.key} (${movingPart})`;
+}
+
+/**
+ * Check whether a window is still open.
+ * @param {number} windowId
+ */
+async function windowExists(windowId) {
+  try {
+    await chrome.windows.get(windowId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Run an organizer action from a keyboard shortcut. Results are reported as notifications; when
+ * the saved dry-run preference is on, the plan is summarized with an Apply button instead.
+ * @param {string} command
+ */
+async function handleCommand(command) {
+  try {
+    if (command === 'organize-llm') {
+      const result = await handleOrganizeMessage({});
+      if (result.fallback === 'nollm') {
+        if (result.dryRun) {
+          notifyCommandPreview(`nollm:${result.token}`, RUN_MODE_LABELS.nollm, result.message);
+        } else {
+          showNotification(RUN_MODE_LABELS.nollm, result.message);
+        }
+      } else if (result.preview) {
+        notifyCommandPreview(`llm:${result.token}`, RUN_MODE_LABELS.llm, result.message);
+      } else {
+        showNotification(RUN_MODE_LABELS.llm, result.message);
+      }
+    } else if (command === 'organize-nollm') {
+      const result = await handleOrganizeTabsNoLLM({});
+      if (result.dryRun) {
+        notifyCommandPreview(`nollm:${result.token}`, RUN_MODE_LABELS.nollm, result.message);
+      } else {
+        showNotification(RUN_MODE_LABELS.nollm, result.message);
+      }
+    } else if (command === 'close-duplicates') {
+      const result = await handleCloseDuplicateTabs({});
+      showNotification(RUN_MODE_LABELS.dedupe, result.message);
+    } else if (command === 'undo-last-run') {
+      const result = await handleUndoLastRun();
+      showNotification('Undo', result.message);
+    }
+  } catch (error) {
+    console.error('[Tab Organizer AI] command error', command, error);
+    showNotification('Tab Organizer AI', error.message || 'Unexpected error');
+  }
+}
+
+/**
+ * Apply the plan behind a shortcut preview notification.
+ * When tabs changed since the preview, a follow-up notification offers to apply anyway.
+ * @param {string} previewKey `llm:<token>` or `nollm:<token>`.
+ * @param {{ acceptDrift?: boolean }} [options]
+ */
+async function applyCommandPreview(previewKey, options = {}) {
+  try {
+    let mode;
+    let result;
+    if (previewKey.startsWith('llm:')) {
+      mode = 'llm';
+      result = await handleOrganizeMessage({ confirm: true, token: previewKey.slice('llm:'.length), ...options });
+    } else if (previewKey.startsWith('nollm:')) {
+      mode = 'nollm';
+      result = await handleOrganizeTabsNoLLM({ confirm: true, token: previewKey.slice('nollm:'.length), ...options });
+    } else {
+      return;
+    }
+    if (result.stale) {
+      showNotification(`${RUN_MODE_LABELS[mode]} – tabs changed`, result.message, {
+        id: `${COMMAND_DRIFT_PREFIX}${previewKey}`,
+        buttons: [{ title: 'Apply anyway' }]
+      });
+      return;
+    }
+    showNotification(RUN_MODE_LABELS[mode], result.message);
+  } catch (error) {
+    console.error('[Tab Organizer AI] apply from notification error', error);
+    showNotification('Tab Organizer AI', error.message || 'Unexpected error');
+  }
+}
+
+/**
+ * Show a dry-run summary with an Apply button.
+ * @param {string} previewKey
+ * @param {string} title
+ * @param {string} message
+ */
+function notifyCommandPreview(previewKey, title, message) {
+  showNotification(`${title} – preview`, message, {
+    id: `${COMMAND_PREVIEW_PREFIX}${previewKey}`,
+    buttons: [{ title: 'Apply' }]
+  });
+}
+
+/**
+ * Post a basic notification with the extension logo.
+ * @param {string} title
+ * @param {string} message
+ * @param {{ id?: string, buttons?: Array<{ title: string }> }} [options]
+ */
+async function showNotification(title, message, options = {}) {
+  if (!chrome.notifications) {
+    return;
+  }
+  const notification = {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('logo.png'),
+    title,
+    message: message || ''
+  };
+  if (options.buttons) {
+    notification.buttons = options.buttons;
+  }
+  try {
+    await chrome.notifications.create(options.id || '', notification);
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to show notification', error);
+  }
+}
+
+/**
+ * Create the page context menu entries. Called on install and update, so stale items are cleared first.
+ */
+function registerContextMenus() {
+  if (!chrome.contextMenus) {
+    return;
+  }
+  chrome.contextMenus.removeAll(() => {
+    for (const [id, title] of Object.entries(CONTEXT_MENU_ITEMS)) {
+      chrome.contextMenus.create({ id, title, contexts: ['page'] });
+    }
+  });
+}
+
+/**
+ * Run a context menu action on the tab it was opened from and report the result as a notification.
+ * @param {string|number} menuItemId
+ * @param {chrome.tabs.Tab|undefined} tab
+ */
+async function handleContextMenuClick(menuItemId, tab) {
+  if (!tab || typeof tab.id !== 'number' || tab.id < 0) {
+    showNotification('Tab Organizer AI', 'This action only works on a regular browser tab.');
+    return;
+  }
+  try {
+    if (menuItemId === 'group-like-this') {
+      const result = await groupTabsLikeThis(tab);
+      showNotification(RUN_MODE_LABELS.similar, result.message);
+    } else if (menuItemId === 'close-duplicates-of-tab') {
+      const result = await closeDuplicatesOfTab(tab);
+      showNotification(RUN_MODE_LABELS.dedupe, result.message);
+    } else if (menuItemId === 'always-group-site') {
+      await openSiteRuleEditor(tab);
+    } else if (menuItemId === 'explain-grouping') {
+      const result = await explainTabGrouping(tab);
+      showNotification(result.title, result.message);
+    }
+  } catch (error) {
+    console.error('[Tab Organizer AI] context menu error', menuItemId, error);
+    showNotification('Tab Organizer AI', error.message || 'Unexpected error');
+  }
+}
+
+/**
+ * Group every tab in the window that the rules engine puts in the same group as `tab`.
+ * A matching unlocked tab group is reused instead of creating a second one.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function groupTabsLikeThis(tab) {
+  const preferences = await loadPreferences();
+  const [entry] = await loadScopedWindows({ type: 'window', windowId: tab.windowId }, preferences);
+  if (!entry.tabs.some((candidate) => candidate.id === tab.id)) {
+    throw new Error('This tab is in a locked group or on an excluded site.');
+  }
+
+  const grouping = groupByRules(entry.tabs, {
+    userRules: parseUserRulesJSON(preferences.userRulesJSON),
+    maxTabsPerGroup: preferences.maxTabsPerGroup,
+    preservePinned: preferences.preservePinned !== false
+  });
+  const match = Array.from(grouping.entries()).find(([, tabIds]) => tabIds.includes(tab.id));
+  if (!match) {
+    throw new Error('Pinned tabs stay out of groups.');
+  }
+  const [name, tabIds] = match;
+  if (name === 'Other') {
+    throw new Error('No rule or category matches this tab.');
+  }
+  if (tabIds.length < 2) {
+    return { success: true, grouped: 0, message: `No other tabs in this window belong in ${name}.` };
+  }
+
+  const existing = entry.groups.find((group) => groupTitleMatchesName(group.title, name));
+  const tabLookup = new Map(entry.tabs.map((candidate) => [candidate.id, candidate]));
+  if (existing && tabIds.every((id) => tabLookup.get(id).groupId === existing.id)) {
+    return { success: true, grouped: 0, message: `These tabs are already grouped in ${existing.title}.` };
+  }
+
+  const colors = grouping.colors instanceof Map ? grouping.colors : new Map();
+  const undoSnapshot = await recordUndoSnapshot([entry.windowId], RUN_MODE_LABELS.similar);
+  try {
+    await applyGroupToWindow(
+      { name, color: colors.get(name) || null, existingGroupId: existing ? existing.id : undefined },
+      tabIds,
+      entry.windowId
+    );
+  } catch (error) {
+    console.warn('Failed to group similar tabs', name, error);
+    throw new Error('Unable to group these tabs.');
+  }
+  await cleanupEmptyGroups(entry.windowId);
+  await recordRunHistory({ mode: 'similar', before: undoSnapshot, closeReasons: new Map() });
+
+  return { success: true, grouped: tabIds.length, message: `Grouped ${tabIds.length} tabs in ${name}.` };
+}
+
+/**
+ * Close every other tab whose canonical URL matches `tab`. Incognito tabs are only compared
+ * with their own window; pinned tabs survive when "Preserve pinned tabs" is on.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function closeDuplicatesOfTab(tab) {
+  const target = canonicalizeUrl(tab.url);
+  if (!target) {
+    throw new Error('This tab has no address to compare.');
+  }
+  const preferences = await loadPreferences();
+  const scope = tab.incognito ? { type: 'window', windowId: tab.windowId } : { type: 'all' };
+  const windows = await loadScopedWindows(scope, preferences);
+  const duplicates = windows
+    .flatMap((entry) => entry.tabs)
+    .filter((candidate) => candidate.id !== tab.id && canonicalizeUrl(candidate.url) === target)
+    .filter((candidate) => !(preferences.preservePinned !== false && candidate.pinned));
+
+  if (!duplicates.length) {
+    return { success: true, closed: 0, message: 'No duplicates of this tab are open.' };
+  }
+
+  const reason = `Duplicate of “${tab.title || tab.url}”`;
+  const undoSnapshot = await recordUndoSnapshot(
+    windows.map((entry) => entry.windowId),
+    RUN_MODE_LABELS.dedupe
+  );
+  try {
+    await chrome.tabs.remove(duplicates.map((candidate) => candidate.id));
+  } catch (error) {
+    console.warn('Failed to remove duplicates of tab', tab.id, error);
+    throw new Error('Unable to close duplicate tabs.');
+  }
+  await recordRunHistory({
+    mode: 'dedupe',
+    before: undoSnapshot,
+    closeReasons: buildCloseReasonMap(duplicates.map((candidate) => ({ id: candidate.id, reason })))
+  });
+
+  const closedCount = duplicates.length;
+  return {
+    success: true,
+    closed: closedCount,
+    message: `Closed ${closedCount} duplicate${closedCount === 1 ? '' : 's'} of this tab.`
+  };
+}
+
+/**
+ * Open the small editor that writes an "always group this site" rule into the custom rules.
+ * The group name is prefilled with the tab's current group or the rules engine's guess.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function openSiteRuleEditor(tab) {
+  let host = '';
+  try {
+    const url = new URL(tab.url);
+    host = url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : '';
+  } catch (error) {
+    host = '';
+  }
+  if (!host) {
+    throw new Error('Site rules only work on web pages.');
+  }
+
+  const preferences = await loadPreferences();
+  let suggestion = '';
+  if (typeof tab.groupId === 'number' && tab.groupId !== TAB_GROUP_ID_NONE) {
+    try {
+      const group = await chrome.tabGroups.get(tab.groupId);
+      suggestion = group.title || '';
+    } catch (error) {
+      console.warn('Unable to read tab group', tab.groupId, error);
+    }
+  }
+  if (!suggestion) {
+    const match = classifyTabByRules(tab, parseUserRulesJSON(preferences.userRulesJSON));
+    suggestion = match ? match.name : '';
+  }
+
+  const params = new URLSearchParams({ host, group: suggestion });
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`site_rule.html?${params.toString()}`),
+    type: 'popup',
+    width: 440,
+    height: 420
+  });
+}
+
+/**
+ * Explain where the rules engine puts a tab, using the diagnostics from the last `groupByRules`
+ * run when they still match the tab's group and classifying its window afresh otherwise.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<{ title: string, message: string }>}
+ */
+async function explainTabGrouping(tab) {
+  let groupTitle = null;
+  if (typeof tab.groupId === 'number' && tab.groupId !== TAB_GROUP_ID_NONE) {
+    try {
+      groupTitle = (await chrome.tabGroups.get(tab.groupId)).title || 'Untitled group';
+    } catch (error) {
+      console.warn('Unable to read tab group', tab.groupId, error);
+    }
+  }
+
+  let diagnostic = explainClassification(tab.id);
+  if (!diagnostic || !groupTitle || !groupTitleMatchesName(groupTitle, diagnostic.group)) {
+    const preferences = await loadPreferences();
+    const tabs = await chrome.tabs.query({ windowId: tab.windowId });
+    groupByRules(tabs, {
+      userRules: parseUserRulesJSON(preferences.userRulesJSON),
+      maxTabsPerGroup: preferences.maxTabsPerGroup,
+      preservePinned: preferences.preservePinned !== false
+    });
+    diagnostic = explainClassification(tab.id);
+  }
+
+  let message = formatClassificationDiagnostic(diagnostic);
+  if (groupTitle && diagnostic && diagnostic.reason !== 'pinned' && !groupTitleMatchesName(groupTitle, diagnostic.group)) {
+    message += ` It is in ${groupTitle} because the LLM or you put it there.`;
+  }
+  return { title: groupTitle ? `Why this tab is in ${groupTitle}` : 'Why this tab is not grouped', message };
+}
+
+/**
+ * Live sorting: once a new tab finishes loading, or a tab finishes loading a different host, drop
+ * it into an existing group in its window when the user rules or the built-in catalog match it.
+ * Reloads and navigation within a host leave the tab alone, as do tabs that were taken out of a
+ * group. Tabs loaded before live sorting first saw them only count once their site changes. New
+ * groups are never created here.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function liveSortTab(tab) {
+  if (!tab || typeof tab.id !== 'number' || tab.incognito) {
+    return;
+  }
+
+  try {
+    const record = await loadLiveSortRecord(tab.id);
+    const site = extractDomain(tab.url) || '';
+    await updateLiveSortRecord(tab.id, { pending: false, site });
+    if (!record.pending && (record.site === undefined || record.site === site)) {
+      return;
+    }
+    if (tab.pinned || record.ungrouped) {
+      return;
+    }
+    if (typeof tab.groupId === 'number' && tab.groupId !== TAB_GROUP_ID_NONE) {
+      return;
+    }
+
+    const preferences = await loadPreferences();
+    if (!preferences.liveSorting || createSiteExclusionMatcher(preferences.excludedSites)(tab.url)) {
+      return;
+    }
+    const match = classifyTabByRules(tab, parseUserRulesJSON(preferences.userRulesJSON));
+    if (!match) {
+      return;
+    }
+
+    const groups = await chrome.tabGroups.query({ windowId: tab.windowId });
+    for (const group of groups) {
+      if (!groupTitleMatchesName(group.title, match.name)) continue;
+      if (isLockedGroupTitle(group.title, preferences.lockedGroupTitles)) continue;
+      const members = await chrome.tabs.query({ groupId: group.id });
+      if (members.length >= preferences.maxTabsPerGroup) continue;
+      await chrome.tabs.group({ tabIds: tab.id, groupId: group.id });
+      return;
+    }
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Live sorting skipped', tab.id, error);
+  }
+}
+
+/**
+ * Run a task that changes tab groups on the organizer's behalf, so live sorting does not take the
+ * tabs it ungroups for tabs the user took out of a group.
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+async function runAsOrganizer(task) {
+  organizerRunDepth += 1;
+  try {
+    return await task();
+  } finally {
+    organizerRunDepth -= 1;
+  }
+}
+
+/**
+ * Load the automatic organize settings and keep the periodic alarm in sync with them.
+ */
+async function refreshAutoOrganizeAlarm() {
+  try {
+    const settings = normalizeAutoOrganizeSettings(await chrome.storage.sync.get(AUTO_ORGANIZE_DEFAULTS));
+    await syncAutoOrganizeAlarm(settings);
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to schedule automatic organize', error);
+  }
+}
+
+/**
+ * Run the automatic organizer on a window once it grows past the configured tab count.
+ * @param {number} windowId
+ */
+async function checkTabThreshold(windowId) {
+  try {
+    const settings = normalizeAutoOrganizeSettings(await chrome.storage.sync.get(AUTO_ORGANIZE_DEFAULTS));
+    if (!settings.enabled || !settings.tabThreshold) {
+      return;
+    }
+    const tabs = await chrome.tabs.query({ windowId });
+    if (tabs.length > settings.tabThreshold) {
+      await runAutoOrganize({ type: 'window', windowId });
+    }
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to check tab count', error);
+  }
+}
+
+/**
+ * Run the configured background organizer unless it is disabled, paused by quiet hours, or
+ * cooling down after a recent run. Posts a notification when tabs or groups changed.
+ * @param {{ type: 'all'|'window', windowId?: number }} scope
+ */
+async function runAutoOrganize(scope) {
+  const settings = normalizeAutoOrganizeSettings(await chrome.storage.sync.get(AUTO_ORGANIZE_DEFAULTS));
+  if (!settings.enabled || isWithinQuietHours(settings)) {
+    return;
+  }
+  const slotKey = scope.type === 'window' ? `window:${scope.windowId}` : 'all';
+  if (!(await claimAutoRunSlot(slotKey, AUTO_RUN_COOLDOWN_MS))) {
+    return;
+  }
+
+  const previousUndo = await loadUndoSnapshot();
+  const startedAt = Date.now();
+  try {
+    if (settings.mode === 'dedupe') {
+      await handleCloseDuplicateTabs({ scope, trigger: 'auto' });
+    } else {
+      await handleOrganizeTabsNoLLM({ scope, dryRun: false, trigger: 'auto' });
+    }
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Automatic organize skipped', error);
+    return;
+  }
+
+  const [latest] = await loadRunHistory();
+  if (!latest || latest.trigger !== 'auto' || latest.timestamp < startedAt) {
+    // Nothing changed, so keep the user's previous undo point rather than a no-op snapshot.
+    if (previousUndo) {
+      await saveUndoSnapshot(previousUndo);
+    } else {
+      await clearUndoSnapshot();
+    }
+    return;
+  }
+
+  await showNotification(
+    `Automatic ${RUN_MODE_LABELS[latest.mode] || 'organize'}`,
+    `${describeRunChanges(latest)}. Undo from the popup or click for details.`,
+    { id: `${AUTO_NOTIFICATION_PREFIX}${latest.id}` }
+  );
+}
+
+/**
+ * Restore the tabs and groups recorded before the most recent organizer run.
+ */
+async function handleUndoLastRun() {
+  const snapshot = await loadUndoSnapshot();
+  if (!snapshot) {
+    throw new Error('There is nothing to undo.');
+  }
+
+  const result = await runAsOrganizer(() => restoreUndoSnapshot(snapshot));
+  await clearUndoSnapshot();
+
+  return {
+    success: true,
+    reopened: result.reopenedCount,
+    groups: result.groupCount,
+    message: buildUndoMessage(snapshot.label, result)
+  };
+}
+
+/**
+ * Create a detailed organization plan without mutating tabs.
+ * Duplicates are detected across every window in scope; the LLM groups each window separately.
+ * @param {string} userPrompt
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * @param {{skipRateLimit?: boolean, scope?: any, signal?: AbortSignal}} [options]
+ */
+async function buildPlan(userPrompt, preferences, options = {}) {
+  const windows = await loadScopedWindows(normalizeOrganizeScope(options.scope), preferences);
+  const tabs = windows.flatMap((entry) => entry.tabs);
+
+  const dedupe = computeDedupePlan(tabs, preferences);
+  const survivorsSet = new Set(dedupe.survivors.map((tab) => tab.id));
+  const tabLookup = new Map(tabs.map((tab) => [tab.id, tab]));
+
+  const windowPlans = [];
+  const usage = createUsageTotals();
+  let skipRateLimit = Boolean(options.skipRateLimit);
+  for (const { entry, existingGroups, freeTabs, needsRequest } of listLLMWindowInputs(windows, survivorsSet, preferences)) {
+    let grouping = { groups: [], assignedTabIds: new Set(), notes: '' };
+    if (needsRequest) {
+      const groupingResult = await fetchPlannedGrouping({
+        windowId: entry.windowId,
+        tabs: freeTabs,
+        existingGroups,
+        preferences,
+        userPrompt,
+        skipRateLimit,
+        signal: options.signal,
+        usage
+      });
+      // One organize request may fan out into several windows; only the first call is rate limited.
+      skipRateLimit = true;
+      const sanitized = sanitizeGroupPlan(groupingResult.groups, freeTabs, preferences);
+      grouping = {
+        // Colors are settled here so the preview shows, and lets people change, what will be applied.
+        groups: assignUniqueGroupColors(
+          attachToExistingGroups(sanitized.groups, existingGroups, preferences.maxTabsPerGroup)
+        ),
+        assignedTabIds: sanitized.assignedTabIds,
+        notes: groupingResult.notes || ''
+      };
+    }
+    windowPlans.push({
+      windowId: entry.windowId,
+      label: entry.label,
+      grouping,
+      preservedGroupIds: existingGroups.map((group) => group.id)
+    });
+  }
+
+  const grouping = {
+    groups: windowPlans.flatMap((entry) => entry.grouping.groups),
+    assignedTabIds: new Set(windowPlans.flatMap((entry) => Array.from(entry.grouping.assignedTabIds))),
+    notes: windowPlans
+      .map((entry) => entry.grouping.notes)
+      .filter(Boolean)
+      .join(' ')
+  };
+
+  const preview = summarizePlanForPreview({
+    tabsToClose: dedupe.tabsToClose,
+    grouping,
+    tabLookup,
+    notes: grouping.notes,
+    preservePinned: preferences.preservePinned,
+    windows: windowPlans
+  });
+
+  return {
+    windows: windowPlans,
+    tabs,
+    snapshot: { tabs, groups: windows.flatMap((entry) => entry.groups) },
+    preferences,
+    dedupe,
+    grouping,
+    tabLookup,
+    preview,
+    usage,
+    userPrompt
+  };
+}
+
+/**
+ * Apply the stored plan to the live Chrome tabs.
+ * Tabs in `skipTabIds` (drifted since the preview) are never closed, grouped, or ungrouped.
+ * @param {{ windows: Array<{ windowId: number, grouping: any, preservedGroupIds?: number[] }>, dedupe: any, preferences: any, userPrompt: string, edited?: boolean, skipTabIds?: number[] }} plan
+ */
+async function applyPlan(plan) {
+  const { windows, dedupe, preferences } = plan;
+  const windowIds = windows.map((entry) => entry.windowId);
+  const preservedGroupIds = new Set(windows.flatMap((entry) => entry.preservedGroupIds || []));
+  const skipTabIds = new Set(plan.skipTabIds || []);
+
+  const undoSnapshot = await recordUndoSnapshot(windowIds, RUN_MODE_LABELS.llm);
+  // Groups may have been locked or sites excluded while the preview was open, so read both lists fresh.
+  const protection = await loadPreferences();
+
+  const currentTabs = await queryWindowTabs(windowIds, protection);
+  const tabMap = new Map(currentTabs.map((tab) => [tab.id, tab]));
+
+  const removalIds = [];
+  for (const item of dedupe.tabsToClose) {
+    const tab = tabMap.get(item.id);
+    if (!tab) continue;
+    if (preferences.preservePinned && tab.pinned) continue;
+    removalIds.push(item.id);
+  }
+
+  if (removalIds.length) {
+    try {
+      await chrome.tabs.remove(removalIds);
+    } catch (error) {
+      console.warn('Failed to remove some duplicate tabs', error);
+    }
+  }
+
+  const tabsAfterRemoval = await queryWindowTabs(windowIds, protection);
+  const afterRemovalMap = new Map(tabsAfterRemoval.map((tab) => [tab.id, tab]));
+  const plannedAssignments = [];
+  const assignedTabs = new Set();
+
+  for (const windowPlan of windows) {
+    // Edited plans keep the colors people picked, even when two groups share one.
+    const colorizedGroups = plan.edited
+      ? windowPlan.grouping.groups
+      : assignUniqueGroupColors(windowPlan.grouping.groups.map((group) => ({ ...group })));
+
+    for (const group of colorizedGroups) {
+      const ids = [];
+      for (const tabId of group.tabIds) {
+        if (assignedTabs.has(tabId)) continue;
+        const tab = afterRemovalMap.get(tabId);
+        if (!tab || tab.windowId !== windowPlan.windowId) continue;
+        if (preferences.preservePinned && tab.pinned) continue;
+        ids.push(tabId);
+        assignedTabs.add(tabId);
+      }
+      if (!ids.length) continue;
+      try {
+        const groupId = await applyGroupToWindow(group, ids, windowPlan.windowId);
+        plannedAssignments.push({
+          groupId,
+          windowId: windowPlan.windowId,
+          name: group.name,
+          tabIds: ids,
+          color: group.color || null
+        });
+      } catch (error) {
+        console.warn('Failed to apply tab group', group, error);
+      }
+    }
+  }
+
+  // Ungroup tabs that are no longer assigned to a group; existing groups kept by incremental mode stay intact.
+  for (const tab of tabsAfterRemoval) {
+    if (tab.groupId === TAB_GROUP_ID_NONE) continue;
+    if (assignedTabs.has(tab.id) || skipTabIds.has(tab.id)) continue;
+    if (preservedGroupIds.has(tab.groupId)) continue;
     try {
       await chrome.tabs.ungroup(tab.id);
     } catch (error) {
@@ -450,7 +1774,17 @@ async function applyPlan(plan) {
     }
   }
 
-  await cleanupEmptyGroups(windowId);
+  for (const windowId of windowIds) {
+    await cleanupEmptyGroups(windowId);
+  }
+
+  await recordRunHistory({
+    mode: 'llm',
+    prompt: plan.userPrompt,
+    before: undoSnapshot,
+    closeReasons: buildCloseReasonMap(dedupe.tabsToClose),
+    usage: summarizeRunUsage(plan.usage, preferences)
+  });
 
   const closedCount = removalIds.length;
   const groupedCount = plannedAssignments.length;
@@ -467,17 +1801,19 @@ async function applyPlan(plan) {
 
 /**
  * Apply deterministic dedupe and grouping results for the no-LLM path.
- * @param {number} windowId
+ * @param {Array<{ windowId: number, groups: Array<{ name: string, tabIds: number[], color?: string|null, existingGroupId?: number }>, preservedGroupIds?: number[] }>} windowPlans
  * @param {{ tabsToClose: Array<{id:number}>, survivors: any[] }} dedupePlan
- * @param {Array<{ name: string, tabIds: number[], color?: string|null }>} groupingArray
- * @param {{ preservePinned?: boolean }} options
+ * @param {{ preservePinned?: boolean, lockedGroupTitles?: string[], excludedSites?: string[], edited?: boolean, skipTabIds?: number[], trigger?: 'auto' }} options
  */
-async function applyNoLlmPlan(windowId, dedupePlan, groupingArray, options = {}) {
+async function applyNoLlmPlan(windowPlans, dedupePlan, options = {}) {
   const preservePinned = options.preservePinned !== false;
-  const currentTabs = await chrome.tabs.query({ windowId });
-  const tabMap = new Map(currentTabs.map((tab) => [tab.id, tab]));
+  const skipTabIds = new Set(options.skipTabIds || []);
+  const windowIds = windowPlans.map((entry) => entry.windowId);
+  const preservedGroupIds = new Set(windowPlans.flatMap((entry) => entry.preservedGroupIds || []));
+  const undoSnapshot = await recordUndoSnapshot(windowIds, RUN_MODE_LABELS.nollm);
 
-  assignUniqueGroupColors(groupingArray);
+  const currentTabs = await queryWindowTabs(windowIds, options);
+  const tabMap = new Map(currentTabs.map((tab) => [tab.id, tab]));
 
   const removalIds = [];
   for (const item of dedupePlan.tabsToClose) {
@@ -495,37 +1831,44 @@ async function applyNoLlmPlan(windowId, dedupePlan, groupingArray, options = {})
     }
   }
 
-  const tabsAfterRemoval = removalIds.length ? await chrome.tabs.query({ windowId }) : currentTabs;
+  const tabsAfterRemoval = removalIds.length ? await queryWindowTabs(windowIds, options) : currentTabs;
   const postRemovalMap = new Map(tabsAfterRemoval.map((tab) => [tab.id, tab]));
   const assigned = new Set();
   const appliedGroups = [];
 
-  for (const group of groupingArray) {
-    const candidateIds = [];
-    for (const tabId of group.tabIds) {
-      const tab = postRemovalMap.get(tabId);
-      if (!tab) continue;
-      if (preservePinned && tab.pinned) continue;
-      candidateIds.push(tabId);
+  for (const windowPlan of windowPlans) {
+    if (!options.edited) {
+      assignUniqueGroupColors(windowPlan.groups);
     }
-    if (!candidateIds.length) continue;
-    try {
-      const groupId = await chrome.tabs.group({ tabIds: candidateIds });
-      const updatePayload = { title: group.name };
-      if (group.color) {
-        updatePayload.color = group.color;
+
+    for (const group of windowPlan.groups) {
+      const candidateIds = [];
+      for (const tabId of group.tabIds) {
+        const tab = postRemovalMap.get(tabId);
+        if (!tab || tab.windowId !== windowPlan.windowId) continue;
+        if (preservePinned && tab.pinned) continue;
+        candidateIds.push(tabId);
+      }
+      if (!candidateIds.length) continue;
+      try {
+        await applyGroupToWindow(group, candidateIds, windowPlan.windowId);
+        candidateIds.forEach((id) => assigned.add(id));
+        appliedGroups.push({
+          name: group.name,
+          count: candidateIds.length,
+          color: group.color || null,
+          windowId: windowPlan.windowId
+        });
+      } catch (error) {
+        console.warn('Failed to apply deterministic group', group, error);
       }
-      await chrome.tabGroups.update(groupId, updatePayload);
-      candidateIds.forEach((id) => assigned.add(id));
-      appliedGroups.push({ name: group.name, count: candidateIds.length, color: group.color || null });
-    } catch (error) {
-      console.warn('Failed to apply deterministic group', group, error);
     }
   }
 
   for (const tab of tabsAfterRemoval) {
     if (tab.groupId === TAB_GROUP_ID_NONE) continue;
-    if (assigned.has(tab.id)) continue;
+    if (assigned.has(tab.id) || skipTabIds.has(tab.id)) continue;
+    if (preservedGroupIds.has(tab.groupId)) continue;
     if (preservePinned && tab.pinned) continue;
     try {
       await chrome.tabs.ungroup(tab.id);
@@ -534,7 +1877,16 @@ async function applyNoLlmPlan(windowId, dedupePlan, groupingArray, options = {})
     }
   }
 
-  await cleanupEmptyGroups(windowId);
+  for (const windowId of windowIds) {
+    await cleanupEmptyGroups(windowId);
+  }
+
+  await recordRunHistory({
+    mode: 'nollm',
+    before: undoSnapshot,
+    closeReasons: buildCloseReasonMap(dedupePlan.tabsToClose),
+    trigger: options.trigger
+  });
 
   return {
     closedCount: removalIds.length,
@@ -542,25 +1894,216 @@ async function applyNoLlmPlan(windowId, dedupePlan, groupingArray, options = {})
   };
 }
 
+/**
+ * Put tabs into a planned group. Groups routed into an existing tab group join it without
+ * touching its title or color; everything else becomes a new group in the window.
+ * @param {{ name: string, color?: string|null, existingGroupId?: number }} group
+ * @param {number[]} tabIds
+ * @param {number} windowId
+ * @returns {Promise<number>} The id of the tab group the tabs ended up in.
+ */
+async function applyGroupToWindow(group, tabIds, windowId) {
+  if (Number.isInteger(group.existingGroupId)) {
+    try {
+      return await chrome.tabs.group({ tabIds, groupId: group.existingGroupId });
+    } catch (error) {
+      console.warn('Existing tab group is gone; creating a new one', group.name, error);
+    }
+  }
+  const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+  const updatePayload = { title: group.name };
+  if (group.color) {
+    updatePayload.color = group.color;
+  }
+  await chrome.tabGroups.update(groupId, updatePayload);
+  return groupId;
+}
+
+/**
+ * Work out which tabs of each window go to the LLM during an organize run.
+ * @param {Awaited<ReturnType<typeof loadScopedWindows>>} windows
+ * @param {Set<number>} survivorsSet Tabs that survive deduping.
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ */
+function listLLMWindowInputs(windows, survivorsSet, preferences) {
+  return windows.map((entry) => {
+    const survivors = entry.tabs.filter((tab) => survivorsSet.has(tab.id));
+    const { existingGroups, freeTabs } = partitionIncrementalWindow(entry, survivors, preferences);
+    // A single new tab is still worth a request when it may join an existing group.
+    return { entry, existingGroups, freeTabs, needsRequest: freeTabs.length >= (existingGroups.length ? 1 : 2) };
+  });
+}
+
+/**
+ * Group tabs for an LLM run with the configured strategy. The hybrid strategy groups tabs that a
+ * user rule or a built-in site pattern recognizes without the model, sends only the leftovers
+ * with the rule groups listed as existing groups, and merges both into one set of groups.
+ * @param {Parameters<typeof fetchGroupingFromLLM>[0]} params
+ * @returns {Promise<{ groups: Array<{ name: string, tabIds: number[] }>, notes: string }>}
+ */
+async function fetchPlannedGrouping(params) {
+  const { preferences } = params;
+  if (preferences.groupingStrategy !== 'hybrid') {
+    return fetchGroupingFromLLM(params);
+  }
+
+  const existingGroups = params.existingGroups || [];
+  const { ruleGroups, llmTabs, needsRequest } = splitHybridTabs(params.tabs, existingGroups, preferences);
+  if (!needsRequest) {
+    return { groups: mergeBatchGroups(ruleGroups, [], preferences.maxTabsPerGroup), notes: '' };
+  }
+  const result = await fetchGroupingFromLLM({ ...params, tabs: llmTabs, existingGroups: [...existingGroups, ...ruleGroups] });
+  // Leftovers the model put into a rule group join it; oversized groups are split as for batches.
+  return {
+    groups: mergeBatchGroups([...ruleGroups, ...result.groups], [], preferences.maxTabsPerGroup),
+    notes: result.notes
+  };
+}
+
+/**
+ * Group the tabs the rules engine recognizes by a user rule or a built-in site pattern, and list
+ * the leftovers that keyword scoring or the Other bucket would place, which go to the LLM.
+ * Each matched tab joins the group its rule names. Unlike the No-LLM organizer, the number of
+ * groups is not capped and small groups are not folded into others; `fetchPlannedGrouping` only
+ * combines groups that share a name and splits those over `maxTabsPerGroup`.
+ * @param {any[]} tabs
+ * @param {Array<{ name: string, tabIds: number[] }>} existingGroups
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * @returns {{ ruleGroups: Array<{ name: string, tabIds: number[] }>, llmTabs: any[], needsRequest: boolean }}
+ */
+function splitHybridTabs(tabs, existingGroups, preferences) {
+  const userRules = parseUserRulesJSON(preferences.userRulesJSON);
+  const { matched, leftovers } = partitionTabsByRuleMatch(tabs, userRules);
+  const preservePinned = preferences.preservePinned !== false;
+  const groupsByName = new Map();
+  for (const { tab, match } of matched) {
+    if (preservePinned && tab.pinned) continue;
+    const key = match.name.toLowerCase();
+    if (!groupsByName.has(key)) {
+      groupsByName.set(key, { name: match.name, tabIds: [] });
+    }
+    groupsByName.get(key).tabIds.push(tab.id);
+  }
+  const ruleGroups = Array.from(groupsByName.values());
+  // As in `listLLMWindowInputs`, a single leftover is worth a request when it may join a group.
+  const needsRequest = leftovers.length >= (existingGroups.length || ruleGroups.length ? 1 : 2);
+  return { ruleGroups, llmTabs: leftovers, needsRequest };
+}
+
 /**
  * Fetch LLM grouping suggestions.
- * @param {{windowId: number, tabs: any[], preferences: any, userPrompt: string, skipRateLimit: boolean}} params
+ * Existing tab groups (incremental mode) are listed so new tabs can join them by name.
+ * Tabs with a cached assignment from an earlier reply keep it, and only new or changed tabs are
+ * sent, with the cached group names listed as existing groups. When nothing is new, no request
+ * is made. More than `LLM_BATCH_SIZE` tabs are pre-clustered into batches that are grouped one
+ * request at a time and then reconciled.
+ * @param {{windowId: number, tabs: any[], existingGroups?: Array<{ name: string, tabIds: number[] }>, preferences: any, userPrompt: string, skipRateLimit: boolean, signal?: AbortSignal, usage?: import('./llm_usage.js').UsageTotals}} params
  */
 async function fetchGroupingFromLLM(params) {
-  const { windowId, tabs, preferences, userPrompt, skipRateLimit } = params;
-  if (!skipRateLimit) {
-    enforceRateLimit();
-  }
-
-  const tabPayload = tabs.map((tab) => ({
-    id: tab.id,
-    title: tab.title,
-    url: tab.url,
-    domain: extractDomain(tab.url),
-    pinned: Boolean(tab.pinned),
-    audible: Boolean(tab.audible),
-    active: Boolean(tab.active)
-  }));
+  const { tabs, preferences, skipRateLimit } = params;
+  const { cacheContext, cachedGroups, pendingTabs } = await lookUpCachedGrouping(params);
+  let result = { groups: [], notes: '' };
+  if (pendingTabs.length) {
+    if (!skipRateLimit) {
+      await enforceRateLimit();
+    }
+    result = await requestGroupingInBatches({
+      ...params,
+      tabs: pendingTabs,
+      existingGroups: [...(params.existingGroups || []), ...cachedGroups]
+    });
+  }
+  if (!cacheContext) {
+    return result;
+  }
+
+  // New tabs the model put into a cached group join it; oversized groups are split as for batches.
+  // Saving even when every tab was cached keeps entries in use from expiring.
+  const groups = mergeBatchGroups([...cachedGroups, ...result.groups], [], preferences.maxTabsPerGroup);
+  try {
+    await saveGroupingAssignments(cacheContext, tabs, groups);
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to update the grouping cache', error);
+  }
+  return { groups, notes: result.notes };
+}
+
+/**
+ * Look up cached assignments for the tabs of a grouping request.
+ * @param {{ tabs: any[], preferences: any, userPrompt: string }} params
+ * @returns {Promise<{ cacheContext: string|null, cachedGroups: Array<{ name: string, tabIds: number[] }>, pendingTabs: any[] }>}
+ *   `cacheContext` is null when the cache is turned off.
+ */
+async function lookUpCachedGrouping(params) {
+  const { tabs, preferences, userPrompt } = params;
+  if (!preferences.cacheGroupings) {
+    return { cacheContext: null, cachedGroups: [], pendingTabs: tabs };
+  }
+  const cacheContext = describeGroupingCacheContext(preferences.llm, userPrompt);
+  try {
+    return { cacheContext, ...splitCachedTabs(tabs, await loadGroupingCache(cacheContext)) };
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to read the grouping cache', error);
+    return { cacheContext, cachedGroups: [], pendingTabs: tabs };
+  }
+}
+
+/**
+ * Group tabs with one request, or with one request per batch and a merge pass for large sets.
+ * @param {Parameters<typeof fetchGroupingFromLLM>[0]} params
+ * @returns {Promise<{ groups: Array<{ name: string, tabIds: number[] }>, notes: string }>}
+ */
+async function requestGroupingInBatches(params) {
+  const { tabs } = params;
+  if (tabs.length <= LLM_BATCH_SIZE) {
+    return requestTabGrouping(params);
+  }
+
+  // Large windows are split so no single request outgrows the model's context window.
+  const results = [];
+  for (const batch of planGroupingBatches(tabs, LLM_BATCH_SIZE)) {
+    results.push(await requestTabGrouping({ ...params, tabs: batch }));
+  }
+  return reconcileBatchGroups(results, params);
+}
+
+/**
+ * Ask the LLM to group one set of tabs.
+ * @param {{windowId: number, tabs: any[], existingGroups?: Array<{ name: string, tabIds: number[] }>, preferences: any, userPrompt: string, signal?: AbortSignal, usage?: import('./llm_usage.js').UsageTotals}} params
+ * @returns {Promise<{ groups: Array<{ name: string, tabIds: number[] }>, notes: string }>}
+ */
+async function requestTabGrouping(params) {
+  const payload = await requestValidatedJSON(buildGroupingMessages(params), params, {
+    kind: 'grouping',
+    name: 'tab_groups',
+    schema: GROUPING_RESPONSE_SCHEMA,
+    validate: validateGroupingPayload
+  });
+  return { groups: payload.groups, notes: typeof payload.notes === 'string' ? payload.notes : '' };
+}
+
+/**
+ * Build the grouping request for one set of tabs. Titles and URLs pass through the privacy settings first.
+ * @param {{windowId: number, tabs: any[], existingGroups?: Array<{ name: string, tabIds: number[] }>, preferences: any, userPrompt: string}} params
+ * @returns {Array<{ role: 'system'|'user', content: string }>}
+ */
+function buildGroupingMessages(params) {
+  const { windowId, tabs, preferences, userPrompt } = params;
+  const existingGroups = (params.existingGroups || []).filter((group) => group.name);
+
+  const tabPayload = tabs.map((tab) => {
+    const redacted = redactTabForLLM(tab, extractDomain(tab.url), preferences.privacy);
+    return {
+      id: tab.id,
+      title: redacted.title,
+      url: redacted.url,
+      domain: redacted.domain,
+      pinned: Boolean(tab.pinned),
+      audible: Boolean(tab.audible),
+      active: Boolean(tab.active)
+    };
+  });
+  const withheldTitles = tabPayload.some((tab) => tab.title === null);
 
   const systemPrompt = [
     'You are an assistant that organizes browser tabs into small, meaningful groups.',
@@ -569,8 +2112,14 @@ async function fetchGroupingFromLLM(params) {
     'Only include tab IDs that you were provided.',
     'Skip grouping pinned tabs and only group items that have a clear common task or theme.',
     'Prefer short titles (<= 20 characters) that summarize the intent. Avoid emoji unless it conveys clear meaning.',
-    'Leave tabs out of all groups when no obvious grouping exists.'
-  ].join(' ');
+    'Leave tabs out of all groups when no obvious grouping exists.',
+    existingGroups.length
+      ? 'The user already keeps the tab groups listed in `existingGroups`. When a tab fits one of them, use that group name exactly; never rename or split those groups.'
+      : '',
+    withheldTitles ? 'A null title was withheld for privacy; group those tabs by their URL and domain.' : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
 
   const userContent = JSON.stringify({
     windowId,
@@ -580,37 +2129,277 @@ async function fetchGroupingFromLLM(params) {
       maxTabsPerGroup: Math.max(2, Number(preferences.maxTabsPerGroup) || 6)
     },
     userPrompt: userPrompt || null,
+    existingGroups: existingGroups.length
+      ? existingGroups.map((group) => ({ name: group.name, tabCount: group.tabIds.length }))
+      : undefined,
     tabs: tabPayload
   });
 
-  const completion = await requestChatCompletion({
-    model: preferences.model || DEFAULT_MODEL,
-    temperature: 0.2,
-    messages: [
+  return [
+    { role: 'system', content: systemPrompt },
+    {
+      role: 'user',
+      content:
+        'Analyze the following tabs and suggest topic-based groups. Respect the `userPrompt` guidance when provided. ' +
+        'Respond with valid JSON and do not add any extra commentary.\n' +
+        userContent
+    }
+  ];
+}
+
+/**
+ * Turn the groups proposed for separate batches into one plan. Groups joining an existing tab group
+ * are combined by name; the rest go through a merge pass so the same topic gets one name across
+ * batches. When the merge pass fails, groups with identical names are still combined.
+ * @param {Array<{ groups: Array<{ name: string, tabIds: number[] }>, notes: string }>} results
+ * @param {{ tabs: any[], existingGroups?: Array<{ name: string }>, preferences: any, signal?: AbortSignal }} params
+ * @returns {Promise<{ groups: Array<{ name: string, tabIds: number[] }>, notes: string }>}
+ */
+async function reconcileBatchGroups(results, params) {
+  const { preferences, signal } = params;
+  const maxTabsPerGroup = Math.max(2, Number(preferences.maxTabsPerGroup) || 6);
+  const existingNames = new Set(
+    (params.existingGroups || []).filter((group) => group.name).map((group) => group.name.trim().toLowerCase())
+  );
+  const notes = results
+    .map((result) => result.notes.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  const joined = new Map();
+  const sources = [];
+  for (const group of results.flatMap((result) => result.groups)) {
+    const key = group.name.trim().toLowerCase();
+    if (!existingNames.has(key)) {
+      sources.push(group);
+    } else if (joined.has(key)) {
+      joined.get(key).tabIds.push(...group.tabIds);
+    } else {
+      joined.set(key, { name: group.name, tabIds: [...group.tabIds] });
+    }
+  }
+
+  let merges = [];
+  if (sources.length > 1) {
+    try {
+      merges = await requestMergePlan(sources, params);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      console.warn('[Tab Organizer AI] Merge pass failed, combining batch groups by name instead', error);
+    }
+  }
+
+  return { groups: [...joined.values(), ...mergeBatchGroups(sources, merges, maxTabsPerGroup)], notes };
+}
+
+/**
+ * Ask the LLM which batch groups cover the same topic and what the combined groups should be called.
+ * @param {Array<{ name: string, tabIds: number[] }>} sources
+ * @param {{ tabs: any[] } & LLMRequestContext} params
+ * @returns {Promise<Array<{ name: string, sourceIds: number[] }>>}
+ */
+async function requestMergePlan(sources, params) {
+  const { tabs, preferences } = params;
+  const maxTabsPerGroup = Math.max(2, Number(preferences.maxTabsPerGroup) || 6);
+  const titles = new Map(
+    tabs.map((tab) => {
+      const redacted = redactTabForLLM(tab, extractDomain(tab.url), preferences.privacy);
+      return [tab.id, redacted.title || redacted.domain || ''];
+    })
+  );
+  const systemPrompt = [
+    'You reconcile tab groups that were proposed separately for batches of the same browser tabs.',
+    'Return JSON with the shape {"groups":[{"name":"string","sourceIds":[number,...]}]}.',
+    'Give groups about the same topic one shared, short name (<= 20 characters) and list them together.',
+    `A final group may hold at most ${maxTabsPerGroup} tabs; sum the tabCount of its sources to check.`,
+    'Use every source id exactly once and only the ids you were provided.'
+  ].join(' ');
+
+  const userContent = JSON.stringify({
+    sources: sources.map((group, id) => ({
+      id,
+      name: group.name,
+      tabCount: group.tabIds.length,
+      sampleTitles: group.tabIds.slice(0, 3).map((tabId) => titles.get(tabId) || '')
+    }))
+  });
+
+  const payload = await requestValidatedJSON(
+    [
       { role: 'system', content: systemPrompt },
       {
         role: 'user',
-        content:
-          'Analyze the following tabs and suggest topic-based groups. Respect the `userPrompt` guidance when provided. ' +
-          'Respond with valid JSON and do not add any extra commentary.\n' +
-          userContent
+        content: 'Reconcile the following groups into one coherent set. Respond with valid JSON only.\n' + userContent
       }
-    ]
-  });
+    ],
+    params,
+    {
+      kind: 'merge',
+      name: 'tab_group_merge',
+      schema: MERGE_RESPONSE_SCHEMA,
+      validate: (reply) => validateGroupingPayload(reply, { idsKey: 'sourceIds' })
+    }
+  );
+  return payload.groups;
+}
+
+/**
+ * @typedef {{
+ *   preferences: Awaited<ReturnType<typeof loadPreferences>>,
+ *   signal?: AbortSignal,
+ *   usage?: import('./llm_usage.js').UsageTotals
+ * }} LLMRequestContext
+ */
 
-  lastCompletionTimestamp = Date.now();
+/**
+ * Request a JSON reply constrained by `schema`. A reply that fails validation gets one repair
+ * round with the problems spelled out before the request is given up on.
+ * @param {Array<{ role: 'system'|'user'|'assistant', content: string }>} messages
+ * @param {LLMRequestContext} context Token usage of every request is added to `context.usage`.
+ * @param {{ kind: string, name: string, schema: object, validate: (payload: any) => string[] }} format
+ * @returns {Promise<any>} The validated payload.
+ */
+async function requestValidatedJSON(messages, context, format) {
+  let reply = await requestJSONReply(messages, context, format);
+  if (reply.problems.length) {
+    console.warn(`[Tab Organizer AI] ${format.kind} reply failed validation, asking for a repair`, reply.problems);
+    reply = await requestJSONReply(
+      [
+        ...messages,
+        { role: 'assistant', content: reply.content },
+        {
+          role: 'user',
+          content:
+            `Your reply did not match the required JSON shape: ${reply.problems.join(' ')} ` +
+            'Reply again with only the corrected JSON object.'
+        }
+      ],
+      context,
+      format
+    );
+  }
+  if (reply.problems.length) {
+    throw new Error(`${context.preferences.llm.label} returned an invalid ${format.kind} payload: ${reply.problems[0]}`);
+  }
+  return reply.payload;
+}
+
+/**
+ * Send one completion request, account for its tokens, and check the reply.
+ * Providers that report no usage are counted with estimated token numbers.
+ * @returns {Promise<{ content: string, payload: any, problems: string[] }>}
+ */
+async function requestJSONReply(messages, context, format) {
+  const { preferences, signal } = context;
+  const estimatedPromptTokens = estimatePromptTokens(messages);
+  const completion = await requestChatCompletion({
+    config: preferences.llm,
+    signal,
+    temperature: 0.2,
+    schema: { name: format.name, schema: format.schema },
+    messages
+  });
+  await recordCompletionTimestamp();
 
   const content = extractMessageContent(completion);
-  let parsed;
+  const tokens = extractUsage(completion) || {
+    promptTokens: estimatedPromptTokens,
+    completionTokens: Math.ceil(content.length / 4)
+  };
+  const request = { estimatedPromptTokens, ...tokens, cost: estimateCost(preferences.llm, tokens) };
+  if (context.usage) {
+    addUsage(context.usage, request);
+  }
+  try {
+    await recordMonthlyUsage(request);
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to record LLM usage', error);
+  }
+
+  const payload = parseJsonContent(content);
+  const problems = payload === null ? ['The reply was not valid JSON.'] : format.validate(payload);
+  return { content, payload, problems };
+}
+
+/**
+ * @typedef {{ lockedGroupTitles?: string[], excludedSites?: string[] }} TabProtection
+ */
+
+/**
+ * Resolve the windows covered by an organize scope and make sure they contain tabs.
+ * Tabs inside locked groups and tabs on excluded sites are dropped, so no mode ever plans, dedupes,
+ * or sends them to the LLM.
+ * @param {{ type: 'current'|'all'|'window', windowId?: number }} scope
+ * @param {TabProtection} [protection]
+ */
+async function loadScopedWindows(scope, protection = {}) {
+  let windows;
   try {
-    parsed = JSON.parse(content);
+    windows = await fetchScopedWindowTabs(scope);
   } catch (error) {
-    throw new Error('OpenAI returned an invalid grouping payload.');
+    throw new Error('Unable to determine which windows to organize.');
+  }
+
+  const hasTabs = windows.some((entry) => entry.tabs.length > 0);
+  const unlocked = windows.map((entry) => ({ ...entry, ...removeProtectedTabs(entry.tabs, entry.groups, protection) }));
+
+  const populated = unlocked.filter((entry) => entry.tabs.length > 0);
+  if (!populated.length) {
+    if (hasTabs) {
+      throw new Error('Every tab in scope belongs to a locked group or an excluded site.');
+    }
+    throw new Error(scope.type === 'all' ? 'No tabs were found in any window.' : 'No tabs were found in the selected window.');
   }
+  return populated;
+}
+
+/**
+ * Query the live tabs of several windows, leaving out tabs in locked groups and on excluded sites.
+ * @param {number[]} windowIds
+ * @param {TabProtection} [protection]
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function queryWindowTabs(windowIds, protection = {}) {
+  const { tabs } = await loadLiveWindowState(windowIds, protection);
+  return tabs;
+}
+
+/**
+ * Query the live tabs and tab groups of several windows, leaving out locked groups and their tabs
+ * as well as tabs on excluded sites.
+ * @param {number[]} windowIds
+ * @param {TabProtection} [protection]
+ * @returns {Promise<{ tabs: chrome.tabs.Tab[], groups: chrome.tabGroups.TabGroup[] }>}
+ */
+async function loadLiveWindowState(windowIds, protection = {}) {
+  const results = await Promise.all(
+    windowIds.map(async (windowId) => {
+      const [tabs, groups] = await Promise.all([chrome.tabs.query({ windowId }), chrome.tabGroups.query({ windowId })]);
+      return removeProtectedTabs(tabs, groups, protection);
+    })
+  );
+  return { tabs: results.flatMap((entry) => entry.tabs), groups: results.flatMap((entry) => entry.groups) };
+}
 
-  const groups = Array.isArray(parsed.groups) ? parsed.groups : [];
-  const notes = typeof parsed.notes === 'string' ? parsed.notes : '';
-  return { groups, notes };
+/**
+ * Drop locked groups with their tabs, and tabs on excluded sites, from one window's tabs and groups.
+ * Groups holding an excluded tab stay listed; only the excluded tab itself is left out.
+ * @template {{ groupId?: number, url?: string, pendingUrl?: string }} T
+ * @param {T[]} tabs
+ * @param {Array<{ id: number, title?: string }>} groups
+ * @param {TabProtection} protection
+ */
+function removeProtectedTabs(tabs, groups, protection) {
+  const lockedGroupIds = new Set(
+    groups.filter((group) => isLockedGroupTitle(group.title, protection.lockedGroupTitles || [])).map((group) => group.id)
+  );
+  const isExcluded = createSiteExclusionMatcher(protection.excludedSites || []);
+  return {
+    tabs: tabs.filter((tab) => !lockedGroupIds.has(tab.groupId) && !isExcluded(tab.url || tab.pendingUrl)),
+    groups: groups.filter((group) => !lockedGroupIds.has(group.id))
+  };
 }
 
 /**
@@ -621,22 +2410,31 @@ async function loadPreferences() {
   const rawMaxTabs = Number(stored.maxTabsPerGroup);
   const maxTabsPerGroup = Number.isFinite(rawMaxTabs) && rawMaxTabs >= 2 ? Math.floor(rawMaxTabs) : DEFAULT_SYNC_SETTINGS.maxTabsPerGroup;
   return {
-    apiKey: typeof stored.apiKey === 'string' ? stored.apiKey.trim() : '',
-    model: typeof stored.model === 'string' && stored.model.trim() ? stored.model.trim() : DEFAULT_MODEL,
+    llm: normalizeLLMConfig(stored),
+    monthlyBudget: normalizeMonthlyBudget(stored.llmMonthlyBudget),
     keepAtLeastOnePerDomain: stored.keepAtLeastOnePerDomain !== false,
     preservePinned: stored.preservePinned !== false,
     maxTabsPerGroup,
     dryRun: Boolean(stored.dryRun),
     dryRunNoLLM: Boolean(stored.dryRunNoLLM),
-    userRulesJSON: typeof stored.userRulesJSON === 'string' ? stored.userRulesJSON : ''
+    userRulesJSON: typeof stored.userRulesJSON === 'string' ? stored.userRulesJSON : '',
+    organizeScope: normalizeOrganizeScope(stored.organizeScope).type,
+    incrementalGroups: Boolean(stored.incrementalGroups),
+    lockedGroupTitles: normalizeLockedGroupTitles(stored.lockedGroupTitles),
+    excludedSites: normalizeExcludedSites(stored.excludedSites),
+    liveSorting: Boolean(stored.liveSorting),
+    privacy: normalizePrivacySettings(stored),
+    groupingStrategy: stored.llmGroupingStrategy === 'hybrid' ? 'hybrid' : 'llm',
+    cacheGroupings: stored.llmCacheGroupings !== false
   };
 }
 
 /**
- * Ensure OpenAI calls are rate limited.
+ * Ensure LLM calls are rate limited, even across service worker restarts.
  */
-function enforceRateLimit() {
+async function enforceRateLimit() {
   const now = Date.now();
+  const lastCompletionTimestamp = await loadLastCompletionTimestamp();
   if (now - lastCompletionTimestamp < RATE_LIMIT_INTERVAL_MS) {
     const waitMs = RATE_LIMIT_INTERVAL_MS - (now - lastCompletionTimestamp);
     throw new Error(`Please wait ${Math.ceil(waitMs / 1000)} more second(s) before organizing again.`);
@@ -644,15 +2442,187 @@ function enforceRateLimit() {
 }
 
 /**
- * Remove preview plans that are older than the TTL.
+ * Run work that calls the LLM so `CANCEL_LLM_REQUEST` can abort it.
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} task
+ * @returns {Promise<T>}
  */
-function cleanupExpiredPreviews() {
-  const now = Date.now();
-  for (const [token, value] of previewPlans.entries()) {
-    if (now - value.createdAt > PREVIEW_TTL_MS) {
-      previewPlans.delete(token);
+async function runCancellableLLMTask(task) {
+  const controller = new AbortController();
+  activeLLMControllers.add(controller);
+  let result;
+  try {
+    result = await task(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error('Cancelled. No tabs were changed.');
+    }
+    throw error;
+  } finally {
+    activeLLMControllers.delete(controller);
+  }
+  if (controller.signal.aborted) {
+    throw new Error('Cancelled. No tabs were changed.');
+  }
+  return result;
+}
+
+/**
+ * Show the grouping requests an LLM organize run would send for the given prompt and scope,
+ * after deduping, locked groups, hybrid rule matches, the grouping cache, and the privacy settings
+ * are applied, with an estimate of their tokens and cost. Nothing is sent.
+ * @param {{ prompt?: string, scope?: any }} message
+ */
+async function handlePreviewLLMPayload(message) {
+  const preferences = await loadPreferences();
+  const userPrompt = typeof message.prompt === 'string' ? message.prompt.trim() : '';
+  const scope = normalizeOrganizeScope(message.scope || preferences.organizeScope);
+  const windows = await loadScopedWindows(scope, preferences);
+  const tabs = windows.flatMap((entry) => entry.tabs);
+  const survivorsSet = new Set(computeDedupePlan(tabs, preferences).survivors.map((tab) => tab.id));
+
+  const requests = [];
+  let batched = false;
+  let cachedTabCount = 0;
+  let ruleTabCount = 0;
+  for (const input of listLLMWindowInputs(windows, survivorsSet, preferences)) {
+    const { entry, freeTabs } = input;
+    if (!input.needsRequest) continue;
+    let existingGroups = input.existingGroups;
+    let llmTabs = freeTabs;
+    if (preferences.groupingStrategy === 'hybrid') {
+      const split = splitHybridTabs(freeTabs, existingGroups, preferences);
+      ruleTabCount += split.ruleGroups.reduce((count, group) => count + group.tabIds.length, 0);
+      if (!split.needsRequest) continue;
+      existingGroups = [...existingGroups, ...split.ruleGroups];
+      llmTabs = split.llmTabs;
+    }
+    const { cachedGroups, pendingTabs } = await lookUpCachedGrouping({ tabs: llmTabs, preferences, userPrompt });
+    cachedTabCount += llmTabs.length - pendingTabs.length;
+    if (!pendingTabs.length) continue;
+    const batches = pendingTabs.length > LLM_BATCH_SIZE ? planGroupingBatches(pendingTabs, LLM_BATCH_SIZE) : [pendingTabs];
+    batched = batched || batches.length > 1;
+    for (const batch of batches) {
+      requests.push({
+        label: entry.label,
+        tabCount: batch.length,
+        messages: buildGroupingMessages({
+          windowId: entry.windowId,
+          tabs: batch,
+          existingGroups: [...existingGroups, ...cachedGroups],
+          preferences,
+          userPrompt
+        })
+      });
+    }
+  }
+  const promptTokens = requests.reduce((total, request) => total + estimatePromptTokens(request.messages), 0);
+  const completionTokens = requests.reduce(
+    (total, request) =>
+      total + request.tabCount * ESTIMATED_COMPLETION_TOKENS_PER_TAB + ESTIMATED_COMPLETION_TOKENS_PER_REQUEST,
+    0
+  );
+  const monthly = await loadMonthlyUsage();
+  return {
+    success: true,
+    provider: preferences.llm.label,
+    model: preferences.llm.model,
+    requests,
+    batched,
+    cachedTabCount,
+    ruleTabCount,
+    estimate: { promptTokens, completionTokens, cost: estimateCost(preferences.llm, { promptTokens, completionTokens }) },
+    budget: { spent: monthly.cost, limit: preferences.monthlyBudget }
+  };
+}
+
+/**
+ * Abort every in-flight LLM request.
+ */
+function handleCancelLLMRequest() {
+  const count = activeLLMControllers.size;
+  for (const controller of activeLLMControllers) {
+    controller.abort();
+  }
+  activeLLMControllers.clear();
+  return { success: true, cancelled: count, message: count ? 'Cancelling…' : 'Nothing to cancel.' };
+}
+
+/**
+ * Remove preview plans that are older than the TTL. Failures only leave stale entries behind.
+ */
+async function cleanupExpiredPreviews() {
+  try {
+    await deleteExpiredPreviewPlans(PREVIEW_TTL_MS);
+  } catch (error) {
+    console.warn('[Tab Organizer AI] Unable to clean up expired previews', error);
+  }
+}
+
+/**
+ * Store the pre-mutation layout of the given windows so the run can be undone.
+ * A failed capture is logged but does not block the organizer.
+ * @param {number[]} windowIds
+ * @param {string} label
+ * @returns {Promise<import('./undo.js').UndoSnapshot|null>}
+ */
+async function recordUndoSnapshot(windowIds, label) {
+  try {
+    const snapshot = await captureWindowSnapshot(windowIds, label);
+    await saveUndoSnapshot(snapshot);
+    return snapshot;
+  } catch (error) {
+    console.warn('Unable to record undo snapshot', error);
+    return null;
+  }
+}
+
+/**
+ * Append a finished run to the history log by diffing the windows against their pre-run snapshot.
+ * Pass `windowIds` when the run opened windows that were not part of the snapshot. Automatic
+ * runs that changed nothing are not logged.
+ * @param {{ mode: 'llm'|'nollm'|'dedupe'|'consolidate'|'similar', prompt?: string, before: import('./undo.js').UndoSnapshot|null, closeReasons: Map<number, string>, windowIds?: number[], trigger?: 'auto', usage?: import('./run_history.js').RunHistoryEntry['usage']|null }} run
+ */
+async function recordRunHistory(run) {
+  if (!run.before) {
+    return;
+  }
+  try {
+    const windowIds = Array.isArray(run.windowIds)
+      ? run.windowIds
+      : run.before.windows.map((windowRecord) => windowRecord.windowId);
+    const after = await captureWindowSnapshot(windowIds, run.before.label);
+    const diff = diffWindowSnapshots(run.before, after, run.closeReasons);
+    if (run.trigger === 'auto' && !hasRunChanges(diff)) {
+      return;
+    }
+    await appendRunHistory({
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      mode: run.mode,
+      prompt: run.prompt || '',
+      ...(run.trigger === 'auto' ? { trigger: 'auto' } : {}),
+      ...(run.usage ? { usage: run.usage } : {}),
+      ...diff
+    });
+  } catch (error) {
+    console.warn('Unable to record run history', error);
+  }
+}
+
+/**
+ * Index the planned close reasons by tab id.
+ * @param {Array<{ id: number, reason?: string }>} tabsToClose
+ * @returns {Map<number, string>}
+ */
+function buildCloseReasonMap(tabsToClose) {
+  const reasons = new Map();
+  for (const item of tabsToClose || []) {
+    if (item && typeof item.id === 'number') {
+      reasons.set(item.id, item.reason || 'Duplicate tab');
     }
   }
+  return reasons;
 }
 
 /**
@@ -686,7 +2656,50 @@ function buildPreviewMessage(plan) {
   const groupCount = plan.preview.groups.length;
   const closingPart = closingCount ? `${closingCount} duplicate tab${closingCount === 1 ? '' : 's'} will close.` : 'No tabs will be closed.';
   const groupingPart = groupCount ? `${groupCount} group${groupCount === 1 ? '' : 's'} will be updated.` : 'No tab groups will change.';
-  return `${closingPart} ${groupingPart}`;
+  return `${closingPart} ${groupingPart}${describePlanUsage(plan.usage)}`;
+}
+
+/**
+ * Describe the LLM usage of a planning run for preview messages; empty when nothing was sent.
+ * @param {import('./llm_usage.js').UsageTotals|undefined} usage
+ * @returns {string}
+ */
+function describePlanUsage(usage) {
+  if (!usage || !usage.requests) {
+    return '';
+  }
+  const estimate = usage.estimatedPromptTokens.toLocaleString('en-US');
+  return ` LLM usage: ${describeUsage(usage)}; estimated ${estimate} prompt tokens before sending.`;
+}
+
+/**
+ * Attach the model name to a run's usage totals for the history log.
+ * @param {import('./llm_usage.js').UsageTotals|undefined} usage
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * @returns {import('./run_history.js').RunHistoryEntry['usage']|null}
+ */
+function summarizeRunUsage(usage, preferences) {
+  return usage && usage.requests ? { ...usage, model: preferences.llm.model } : null;
+}
+
+/**
+ * Check this month's LLM spend against the budget from the options page. A model without a known
+ * price would never use up the budget, so it is blocked while a budget is set.
+ * @param {Awaited<ReturnType<typeof loadPreferences>>} preferences
+ * @returns {Promise<string|null>} Why LLM runs are blocked, or null when they may proceed.
+ */
+async function findBudgetBlock(preferences) {
+  if (!preferences.monthlyBudget) {
+    return null;
+  }
+  if (!findModelPricing(preferences.llm)) {
+    return `The monthly LLM budget cannot be tracked because ${preferences.llm.model} has no known price. Enter its input and output prices in the options.`;
+  }
+  const spent = (await loadMonthlyUsage()).cost;
+  if (spent < preferences.monthlyBudget) {
+    return null;
+  }
+  return `This month's LLM budget of ${formatCost(preferences.monthlyBudget)} is used up (${formatCost(spent)} spent).`;
 }
 
 /**
@@ -725,3 +2738,39 @@ function buildNoLlmStatus(details) {
   const summary = `${closePart} · ${groupPart}`;
   return details.dryRun ? `Dry-run: ${summary}` : summary;
 }
+
+/**
+ * Describe the outcome of an undo request.
+ * @param {string} label
+ * @param {{ reopenedCount: number, groupCount: number, failedCount: number }} result
+ */
+function buildUndoMessage(label, result) {
+  const parts = [`Undid ${label || 'the last run'}.`];
+  if (result.reopenedCount) {
+    parts.push(`Reopened ${result.reopenedCount} tab${result.reopenedCount === 1 ? '' : 's'}.`);
+  }
+  if (result.groupCount) {
+    parts.push(`Restored ${result.groupCount} tab group${result.groupCount === 1 ? '' : 's'}.`);
+  }
+  if (result.failedCount) {
+    parts.push(`${result.failedCount} tab${result.failedCount === 1 ? '' : 's'} could not be restored.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Create a status line for window consolidation previews and results.
+ * @param {{closedCount: number, movedCount: number, windowCount: number, newWindowCount: number, dryRun: boolean}} details
+ */
+function buildConsolidationMessage(details) {
+  const parts = [];
+  if (details.closedCount) {
+    parts.push(`${details.dryRun ? 'Would close' : 'Closed'} ${details.closedCount} dupe${details.closedCount === 1 ? '' : 's'}`);
+  }
+  const moveVerb = details.dryRun ? 'Would move' : 'Moved';
+  parts.push(`${moveVerb} ${details.movedCount} tab${details.movedCount === 1 ? '' : 's'}`);
+  const windowPart = `${details.windowCount} window${details.windowCount === 1 ? '' : 's'}`;
+  parts.push(details.newWindowCount ? `${windowPart} (${details.newWindowCount} new)` : windowPart);
+  const summary = parts.join(' · ');
+  return details.dryRun ? `Preview: ${summary}` : summary;
+}
@@ -0,0 +1,162 @@
+/**
+ * Service worker state that must outlive worker restarts: pending preview plans, the LLM rate
+ * limiter, and what live sorting knows about each tab. Everything lives in chrome.storage.session, which is cleared when the
+ * browser closes and never written to disk. Preview plans carry the preferences, API key
+ * included, so they must not fall back to chrome.storage.local.
+ * @module session_state
+ */
+
+const PREVIEW_KEY_PREFIX = 'previewPlan:';
+const LAST_COMPLETION_STORAGE_KEY = 'lastCompletionTimestamp';
+const LIVE_SORT_KEY_PREFIX = 'liveSortTab:';
+
+/**
+ * @typedef {{ kind: 'llm'|'nollm'|'consolidate', plan: any, createdAt: number }} StoredPreview
+ *
+ * @typedef {{ pending?: boolean, site?: string, ungrouped?: boolean }} LiveSortRecord
+ * `pending` marks a new tab that has not finished loading, `site` is the site the tab last
+ * finished loading, and `ungrouped` records that the user took the tab out of a group.
+ */
+
+/**
+ * Store a preview plan under a fresh token.
+ * @param {StoredPreview['kind']} kind
+ * @param {any} plan Plans may hold Maps and Sets; they are encoded for storage.
+ * @returns {Promise<string>} The preview token.
+ */
+export async function savePreviewPlan(kind, plan) {
+  const token = crypto.randomUUID();
+  const record = { kind, plan: encodeValue(plan), createdAt: Date.now() };
+  await chrome.storage.session.set({ [`${PREVIEW_KEY_PREFIX}${token}`]: record });
+  return token;
+}
+
+/**
+ * Look up a preview plan that has not expired.
+ * @param {string|undefined} token
+ * @param {number} ttlMs
+ * @returns {Promise<StoredPreview|null>}
+ */
+export async function loadPreviewPlan(token, ttlMs) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  const key = `${PREVIEW_KEY_PREFIX}${token}`;
+  const stored = await chrome.storage.session.get(key);
+  const record = stored[key];
+  if (!record) {
+    return null;
+  }
+  if (isExpired(record, ttlMs, Date.now())) {
+    await chrome.storage.session.remove(key);
+    return null;
+  }
+  return { kind: record.kind, plan: decodeValue(record.plan), createdAt: record.createdAt };
+}
+
+/**
+ * Forget a preview plan once it has been applied.
+ * @param {string} token
+ */
+export async function deletePreviewPlan(token) {
+  await chrome.storage.session.remove(`${PREVIEW_KEY_PREFIX}${token}`);
+}
+
+/**
+ * Remove preview plans older than `ttlMs`.
+ * @param {number} ttlMs
+ */
+export async function deleteExpiredPreviewPlans(ttlMs) {
+  const stored = await chrome.storage.session.get(null);
+  const now = Date.now();
+  const expired = Object.entries(stored)
+    .filter(([key, record]) => key.startsWith(PREVIEW_KEY_PREFIX) && isExpired(record, ttlMs, now))
+    .map(([key]) => key);
+  if (expired.length) {
+    await chrome.storage.session.remove(expired);
+  }
+}
+
+/**
+ * Read when the last LLM completion finished.
+ * @returns {Promise<number>} Milliseconds since the epoch, or 0 when none is recorded.
+ */
+export async function loadLastCompletionTimestamp() {
+  const stored = await chrome.storage.session.get({ [LAST_COMPLETION_STORAGE_KEY]: 0 });
+  const value = stored[LAST_COMPLETION_STORAGE_KEY];
+  return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Record that an LLM completion just finished.
+ */
+export async function recordCompletionTimestamp() {
+  await chrome.storage.session.set({ [LAST_COMPLETION_STORAGE_KEY]: Date.now() });
+}
+
+/**
+ * Read what live sorting has recorded for a tab.
+ * @param {number} tabId
+ * @returns {Promise<LiveSortRecord>}
+ */
+export async function loadLiveSortRecord(tabId) {
+  const key = `${LIVE_SORT_KEY_PREFIX}${tabId}`;
+  const stored = await chrome.storage.session.get(key);
+  return stored[key] || {};
+}
+
+/**
+ * Merge `changes` into the live sorting record of a tab.
+ * @param {number} tabId
+ * @param {LiveSortRecord} changes
+ */
+export async function updateLiveSortRecord(tabId, changes) {
+  const key = `${LIVE_SORT_KEY_PREFIX}${tabId}`;
+  const stored = await chrome.storage.session.get(key);
+  await chrome.storage.session.set({ [key]: { ...stored[key], ...changes } });
+}
+
+/**
+ * Forget the live sorting record of a closed tab.
+ * @param {number} tabId
+ */
+export async function deleteLiveSortRecord(tabId) {
+  await chrome.storage.session.remove(`${LIVE_SORT_KEY_PREFIX}${tabId}`);
+}
+
+function isExpired(record, ttlMs, now) {
+  return !record || typeof record.createdAt !== 'number' || now - record.createdAt > ttlMs;
+}
+
+// Session storage only keeps JSON-compatible values, so Maps and Sets are tagged on the way in.
+function encodeValue(value) {
+  if (value instanceof Map) {
+    return { $map: Array.from(value, ([key, entry]) => [encodeValue(key), encodeValue(entry)]) };
+  }
+  if (value instanceof Set) {
+    return { $set: Array.from(value, (entry) => encodeValue(entry)) };
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => encodeValue(entry));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, encodeValue(entry)]));
+  }
+  return value;
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => decodeValue(entry));
+  }
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.$map)) {
+      return new Map(value.$map.map(([key, entry]) => [decodeValue(key), decodeValue(entry)]));
+    }
+    if (Array.isArray(value.$set)) {
+      return new Set(value.$set.map((entry) => decodeValue(entry)));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decodeValue(entry)]));
+  }
+  return value;
+}
@@ -0,0 +1,49 @@
+import { addSiteRuleToJSON } from './tab_utils.js';
+
+const form = document.getElementById('site-rule-form');
+const hostEl = document.getElementById('site-host');
+const nameInput = document.getElementById('group-name');
+const suggestionsEl = document.getElementById('group-suggestions');
+const cancelButton = document.getElementById('cancel');
+const statusEl = document.getElementById('status');
+
+const params = new URLSearchParams(location.search);
+const host = params.get('host') || '';
+
+async function populateSuggestions() {
+  try {
+    const groups = await chrome.tabGroups.query({});
+    const titles = new Set(groups.map((group) => group.title).filter(Boolean));
+    for (const title of titles) {
+      const option = document.createElement('option');
+      option.value = title;
+      suggestionsEl.appendChild(option);
+    }
+  } catch (error) {
+    console.warn('Unable to list tab groups', error);
+  }
+}
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  try {
+    const stored = await chrome.storage.sync.get({ userRulesJSON: '' });
+    const userRulesJSON = addSiteRuleToJSON(stored.userRulesJSON, host, nameInput.value);
+    await chrome.storage.sync.set({ userRulesJSON });
+    setStatus('Rule saved.');
+    setTimeout(() => window.close(), 800);
+  } catch (error) {
+    console.error('Failed to save site rule', error);
+    setStatus(error.message || 'Unable to save the rule.');
+  }
+});
+
+cancelButton.addEventListener('click', () => window.close());
+
+function setStatus(message) {
+  statusEl.textContent = message;
+}
+
+hostEl.textContent = host || 'this site';
+nameInput.value = params.get('group') || '';
+populateSuggestions();
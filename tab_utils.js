@@ -17,6 +17,9 @@ const VALID_GROUP_COLORS = new Set([
   'orange'
 ]);
 
+/** Chrome tab group colors, in the order offered to people. */
+export const TAB_GROUP_COLORS = Object.freeze(Array.from(VALID_GROUP_COLORS));
+
 const DEFAULT_COLOR_SEQUENCE = Object.freeze([
   'blue',
   'red',
@@ -578,6 +581,43 @@ export function parseUserRulesJSON(jsonString) {
   return results;
 }
 
+/**
+ * Add an "always put this site in this group" rule to the custom rules JSON.
+ * The rule goes first so it wins over broader rules; earlier rules for the same host are replaced.
+ * @param {string} rulesJSON Current `userRulesJSON` text (may be empty).
+ * @param {string} host Site host, e.g. "www.example.com".
+ * @param {string} groupName
+ * @returns {string} Updated rules JSON.
+ */
+export function addSiteRuleToJSON(rulesJSON, host, groupName) {
+  const name = typeof groupName === 'string' ? groupName.trim() : '';
+  const normalizedHost = normalizeHost(typeof host === 'string' ? host.trim() : '');
+  if (!name) {
+    throw new Error('Enter a group name.');
+  }
+  if (!normalizedHost) {
+    throw new Error('This page has no site to match.');
+  }
+
+  let rules = [];
+  if (rulesJSON && rulesJSON.trim()) {
+    try {
+      rules = JSON.parse(rulesJSON);
+    } catch (error) {
+      rules = null;
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Your custom rules are not valid JSON. Fix them on the options page first.');
+    }
+  }
+
+  const hostRule = `(^|\\.)${escapeRegex(normalizedHost)}$`;
+  const remaining = rules.filter(
+    (rule) => !(rule && typeof rule === 'object' && rule.host === hostRule && !rule.path && !rule.title)
+  );
+  return JSON.stringify([{ name, host: hostRule }, ...remaining], null, 2);
+}
+
 /**
  * Normalize a rule pattern entry.
  * @param {any} value
@@ -697,6 +737,7 @@ export function snapshotTab(tab) {
         ? chrome.tabGroups.TAB_GROUP_ID_NONE
         : -1,
     index: typeof tab.index === 'number' ? tab.index : 0,
+    windowId: typeof tab.windowId === 'number' ? tab.windowId : -1,
     lastAccessed: typeof tab.lastAccessed === 'number' ? tab.lastAccessed : undefined
   };
 }
@@ -715,6 +756,99 @@ export async function fetchCurrentWindowTabs() {
   return { windowId, tabs: snapshots };
 }
 
+export const ORGANIZE_SCOPES = Object.freeze(['current', 'all', 'window']);
+
+/**
+ * Normalize an organize scope coming from the popup or storage.
+ * @param {any} value
+ * @returns {{ type: 'current'|'all'|'window', windowId?: number }}
+ */
+export function normalizeOrganizeScope(value) {
+  const raw = typeof value === 'string' ? { type: value } : value && typeof value === 'object' ? value : {};
+  const type = ORGANIZE_SCOPES.includes(raw.type) ? raw.type : 'current';
+  if (type === 'window') {
+    return Number.isInteger(raw.windowId) ? { type, windowId: raw.windowId } : { type: 'current' };
+  }
+  return { type };
+}
+
+/**
+ * Fetch tab snapshots for every window covered by the scope.
+ * The "all" scope only includes normal, non-incognito windows. Each entry also lists the
+ * window's existing tab groups.
+ * @param {{ type: 'current'|'all'|'window', windowId?: number }} scope
+ * @returns {Promise<Array<{
+ *   windowId: number,
+ *   label: string,
+ *   current: boolean,
+ *   incognito: boolean,
+ *   tabs: TabSnapshot[],
+ *   groups: Array<{ id: number, title: string, color: string|null }>
+ * }>>}
+ */
+export async function fetchScopedWindowTabs(scope) {
+  const normalized = normalizeOrganizeScope(scope);
+  const current = await chrome.windows.getCurrent({ populate: false });
+  const currentId = current && typeof current.id === 'number' ? current.id : -1;
+
+  let windows;
+  if (normalized.type === 'all') {
+    const all = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    windows = all.filter((win) => !win.incognito);
+  } else {
+    const targetId = normalized.type === 'window' ? normalized.windowId : currentId;
+    let win;
+    try {
+      win = await chrome.windows.get(targetId, { populate: true });
+    } catch (error) {
+      win = null;
+    }
+    if (!win) {
+      throw new Error('Unable to read tabs for the selected window.');
+    }
+    windows = [win];
+  }
+
+  const ordered = windows
+    .filter((win) => typeof win.id === 'number' && Array.isArray(win.tabs))
+    .sort((a, b) => Number(b.id === currentId) - Number(a.id === currentId) || a.id - b.id);
+
+  const results = [];
+  for (const [index, win] of ordered.entries()) {
+    results.push({
+      windowId: win.id,
+      label: win.id === currentId ? 'This window' : `Window ${index + 1}`,
+      current: win.id === currentId,
+      incognito: Boolean(win.incognito),
+      tabs: win.tabs.filter((tab) => typeof tab.id === 'number').map((tab) => snapshotTab(tab)),
+      groups: await fetchWindowGroups(win.id)
+    });
+  }
+  return results;
+}
+
+/**
+ * List the tab groups of a window, tolerating browsers without tab group support.
+ * @param {number} windowId
+ * @returns {Promise<Array<{ id: number, title: string, color: string|null }>>}
+ */
+async function fetchWindowGroups(windowId) {
+  if (!chrome.tabGroups || typeof chrome.tabGroups.query !== 'function') {
+    return [];
+  }
+  try {
+    const groups = await chrome.tabGroups.query({ windowId });
+    return groups.map((group) => ({
+      id: group.id,
+      title: typeof group.title === 'string' ? group.title : '',
+      color: sanitizeGroupColor(group.color)
+    }));
+  } catch (error) {
+    console.warn('Unable to read tab groups', windowId, error);
+    return [];
+  }
+}
+
 /**
  * Determine duplicates.
  * @param {TabSnapshot[]} tabs
@@ -953,6 +1087,174 @@ function ensureSnapshots(tabs) {
   });
 }
 
+/**
+ * JSON schema for LLM grouping replies, strict enough for OpenAI structured outputs.
+ */
+export const GROUPING_RESPONSE_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tabIds: { type: 'array', items: { type: 'integer' } }
+        },
+        required: ['name', 'tabIds'],
+        additionalProperties: false
+      }
+    },
+    notes: { type: 'string' }
+  },
+  required: ['groups', 'notes'],
+  additionalProperties: false
+});
+
+/**
+ * JSON schema for the pass that reconciles groups proposed for separate batches of tabs.
+ * `sourceIds` refer to the numbered batch groups sent with the request.
+ */
+export const MERGE_RESPONSE_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          sourceIds: { type: 'array', items: { type: 'integer' } }
+        },
+        required: ['name', 'sourceIds'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['groups'],
+  additionalProperties: false
+});
+
+/**
+ * Check a parsed LLM grouping reply against `GROUPING_RESPONSE_SCHEMA`. Missing notes are tolerated.
+ * @param {any} payload
+ * @param {{ idsKey?: 'tabIds'|'sourceIds' }} [options] Pass `sourceIds` to check a `MERGE_RESPONSE_SCHEMA` reply.
+ * @returns {string[]} Problems found, empty when the reply is usable.
+ */
+export function validateGroupingPayload(payload, options = {}) {
+  const idsKey = options.idsKey || 'tabIds';
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['The reply must be a JSON object.'];
+  }
+  if (!Array.isArray(payload.groups)) {
+    return ['`groups` must be an array.'];
+  }
+  const problems = [];
+  payload.groups.forEach((group, index) => {
+    if (!group || typeof group !== 'object') {
+      problems.push(`groups[${index}] must be an object.`);
+      return;
+    }
+    if (typeof group.name !== 'string' || !group.name.trim()) {
+      problems.push(`groups[${index}].name must be a non-empty string.`);
+    }
+    if (!Array.isArray(group[idsKey]) || !group[idsKey].every((id) => Number.isInteger(id))) {
+      problems.push(`groups[${index}].${idsKey} must be an array of integer ids.`);
+    }
+  });
+  if (payload.notes !== undefined && typeof payload.notes !== 'string') {
+    problems.push('`notes` must be a string.');
+  }
+  return problems;
+}
+
+/**
+ * Split a large set of tabs into batches for separate LLM requests. Tabs are pre-clustered with the
+ * rules engine and clusters are packed whole when they fit, so related tabs land in the same batch.
+ * @param {TabSnapshot[]} tabs
+ * @param {number} batchSize
+ * @returns {TabSnapshot[][]}
+ */
+export function planGroupingBatches(tabs, batchSize) {
+  const tabMap = new Map(tabs.map((tab) => [tab.id, tab]));
+  const clusters = [];
+  const clustered = new Set();
+  for (const tabIds of categorizeTabs(tabs, { maxGroups: 12 }).values()) {
+    const members = tabIds.filter((id) => tabMap.has(id) && !clustered.has(id));
+    members.forEach((id) => clustered.add(id));
+    for (let start = 0; start < members.length; start += batchSize) {
+      clusters.push(members.slice(start, start + batchSize));
+    }
+  }
+  const leftovers = tabs.map((tab) => tab.id).filter((id) => !clustered.has(id));
+  for (let start = 0; start < leftovers.length; start += batchSize) {
+    clusters.push(leftovers.slice(start, start + batchSize));
+  }
+
+  // First-fit decreasing keeps the number of batches, and so of requests, low.
+  const batches = [];
+  for (const cluster of clusters.sort((a, b) => b.length - a.length)) {
+    const batch = batches.find((candidate) => candidate.length + cluster.length <= batchSize);
+    if (batch) {
+      batch.push(...cluster);
+    } else {
+      batches.push([...cluster]);
+    }
+  }
+  return batches.map((batch) => batch.map((id) => tabMap.get(id)));
+}
+
+/**
+ * Combine groups proposed for separate batches following a merge reply. Source groups the reply
+ * leaves out keep their own name, and groups sharing a name are combined. Combined groups larger
+ * than `maxTabsPerGroup` are split into "Name", "Name (2)", and so on, as the rules engine names them.
+ * @param {Array<{ name: string, tabIds: number[] }>} sourceGroups
+ * @param {Array<{ name: string, sourceIds: number[] }>} merges
+ * @param {number} maxTabsPerGroup
+ * @returns {Array<{ name: string, tabIds: number[] }>}
+ */
+export function mergeBatchGroups(sourceGroups, merges, maxTabsPerGroup) {
+  const limit = Math.max(2, Number(maxTabsPerGroup) || 6);
+  const finalNames = new Map();
+  for (const merge of merges) {
+    const name = truncateLabel(String(merge.name || '').trim());
+    if (!name) continue;
+    for (const id of merge.sourceIds) {
+      if (sourceGroups[id] && !finalNames.has(id)) {
+        finalNames.set(id, name);
+      }
+    }
+  }
+
+  const combined = new Map();
+  sourceGroups.forEach((group, index) => {
+    const name = finalNames.get(index) || group.name;
+    const key = name.toLowerCase();
+    if (!combined.has(key)) {
+      combined.set(key, { name, tabIds: [] });
+    }
+    combined.get(key).tabIds.push(...group.tabIds);
+  });
+
+  const merged = [];
+  for (const { name, tabIds } of combined.values()) {
+    const unique = Array.from(new Set(tabIds));
+    let part = 1;
+    for (let start = 0; start < unique.length; start += limit) {
+      let partName = name;
+      if (start > 0) {
+        // Skip numbers a group of its own already uses, e.g. a "Docs (2)" the model proposed.
+        do {
+          part += 1;
+          partName = `${name} (${part})`;
+        } while (combined.has(partName.toLowerCase()));
+      }
+      merged.push({ name: partName, tabIds: unique.slice(start, start + limit) });
+    }
+  }
+  return merged;
+}
+
 /**
  * Clean up and constrain group assignments suggested by the LLM.
  * @param {Array<{name?: string, tabIds?: number[]}>} llmGroups
@@ -989,27 +1291,523 @@ export function sanitizeGroupPlan(llmGroups, availableTabs, preferences) {
   return { groups: cleaned, assignedTabIds: assigned };
 }
 
+/**
+ * @typedef {{
+ *   closeTabIds: number[],
+ *   windows: Array<{
+ *     windowId: number,
+ *     groups: Array<{ name: string, color?: string|null, tabIds: number[], existingGroupId?: number }>
+ *   }>
+ * }} PlanEdits
+ */
+
+/**
+ * Replace a planned run's closures and groups with the version edited in the preview.
+ * Edits can only keep planned closures, only move tabs the plan knows about within their own
+ * window, and only join tab groups the plan was already allowed to reuse.
+ * @param {{ tabsToClose: Array<{ id: number }>, windows: Array<{ windowId: number, groups: any[], preservedGroupIds?: number[] }> }} plan
+ * @param {PlanEdits} edits
+ * @param {Map<number, { windowId: number }>} tabLookup
+ * @returns {{ tabsToClose: Array<{ id: number }>, windows: Array<{ windowId: number, groups: Array<{ name: string, color: string|null, tabIds: number[], existingGroupId?: number }> }> }}
+ */
+export function applyPlanEdits(plan, edits, tabLookup) {
+  const keepClosing = new Set(Array.isArray(edits.closeTabIds) ? edits.closeTabIds : []);
+  const tabsToClose = plan.tabsToClose.filter((item) => keepClosing.has(item.id));
+  const closing = new Set(tabsToClose.map((item) => item.id));
+  const editedWindows = new Map(
+    (Array.isArray(edits.windows) ? edits.windows : []).map((entry) => [entry && entry.windowId, entry])
+  );
+
+  const windows = plan.windows.map((entry) => {
+    const edited = editedWindows.get(entry.windowId);
+    if (!edited || !Array.isArray(edited.groups)) {
+      return { windowId: entry.windowId, groups: entry.groups };
+    }
+    const reusable = new Set([
+      ...(entry.preservedGroupIds || []),
+      ...entry.groups.map((group) => group.existingGroupId).filter(Number.isInteger)
+    ]);
+    const assigned = new Set();
+    const groups = [];
+    for (const group of edited.groups) {
+      if (!group || !Array.isArray(group.tabIds)) continue;
+      const tabIds = group.tabIds.filter((tabId) => {
+        const tab = tabLookup.get(tabId);
+        if (!tab || tab.windowId !== entry.windowId || closing.has(tabId) || assigned.has(tabId)) return false;
+        assigned.add(tabId);
+        return true;
+      });
+      if (!tabIds.length) continue;
+      const name = truncateLabel(typeof group.name === 'string' ? group.name : '') || 'Group';
+      const planned = { name, color: sanitizeGroupColor(group.color), tabIds };
+      if (Number.isInteger(group.existingGroupId) && reusable.has(group.existingGroupId)) {
+        planned.existingGroupId = group.existingGroupId;
+      }
+      groups.push(planned);
+    }
+    return { windowId: entry.windowId, groups };
+  });
+
+  return { tabsToClose, windows };
+}
+
+/**
+ * @typedef {{ id: number, title: string, url: string }} DriftTab
+ *
+ * @typedef {{
+ *   removed: DriftTab[],
+ *   opened: DriftTab[],
+ *   navigated: Array<DriftTab & { from: string }>,
+ *   moved: DriftTab[],
+ *   regrouped: DriftTab[],
+ *   groupsChanged: string[],
+ *   driftedTabIds: number[]
+ * }} TabDrift
+ */
+
+/**
+ * Compare the tabs and groups a plan was built from with the live ones. `driftedTabIds` lists
+ * every live tab the user touched in between, including the tabs of groups they renamed or recolored.
+ * @param {{ tabs: TabSnapshot[], groups: Array<{ id: number, title: string, color: string|null }> }} planned
+ * @param {{ tabs: TabSnapshot[], groups: Array<{ id: number, title: string, color: string|null }> }} live
+ * @returns {TabDrift}
+ */
+export function diffTabDrift(planned, live) {
+  const liveTabs = new Map(live.tabs.map((tab) => [tab.id, tab]));
+  const liveGroups = new Map(live.groups.map((group) => [group.id, group]));
+  const plannedIds = new Set(planned.tabs.map((tab) => tab.id));
+  const changedGroups = planned.groups.filter((group) => {
+    const current = liveGroups.get(group.id);
+    return !current || current.title !== group.title || current.color !== group.color;
+  });
+  const changedGroupIds = new Set(changedGroups.map((group) => group.id));
+  const describe = (tab) => ({ id: tab.id, title: tab.title, url: tab.url });
+
+  const drift = {
+    removed: [],
+    opened: [],
+    navigated: [],
+    moved: [],
+    regrouped: [],
+    groupsChanged: changedGroups.map((group) => group.title || 'Untitled group'),
+    driftedTabIds: []
+  };
+  for (const tab of planned.tabs) {
+    const current = liveTabs.get(tab.id);
+    if (!current) {
+      drift.removed.push(describe(tab));
+      continue;
+    }
+    if (current.url !== tab.url) {
+      drift.navigated.push({ ...describe(current), from: tab.url });
+    } else if (current.windowId !== tab.windowId) {
+      drift.moved.push(describe(current));
+    } else if (current.groupId !== tab.groupId) {
+      drift.regrouped.push(describe(current));
+    } else if (!changedGroupIds.has(tab.groupId)) {
+      continue;
+    }
+    drift.driftedTabIds.push(tab.id);
+  }
+  for (const tab of live.tabs) {
+    if (!plannedIds.has(tab.id)) {
+      drift.opened.push(describe(tab));
+      drift.driftedTabIds.push(tab.id);
+    }
+  }
+  return drift;
+}
+
+/**
+ * Check whether anything drifted since a plan was built.
+ * @param {TabDrift} drift
+ * @returns {boolean}
+ */
+export function hasTabDrift(drift) {
+  return ['removed', 'opened', 'navigated', 'moved', 'regrouped', 'groupsChanged'].some((key) => drift[key].length > 0);
+}
+
+/**
+ * Summarize drift, e.g. "2 tabs navigated elsewhere · 1 tab opened".
+ * @param {TabDrift} drift
+ * @returns {string}
+ */
+export function describeTabDrift(drift) {
+  const count = (items, singular, plural, suffix) =>
+    items.length ? `${items.length} ${items.length === 1 ? singular : plural} ${suffix}` : '';
+  return [
+    count(drift.removed, 'tab', 'tabs', 'closed or locked'),
+    count(drift.opened, 'tab', 'tabs', 'opened'),
+    count(drift.navigated, 'tab', 'tabs', 'navigated elsewhere'),
+    count(drift.moved, 'tab', 'tabs', 'moved to another window'),
+    count(drift.regrouped, 'tab', 'tabs', 'moved between groups'),
+    count(drift.groupsChanged, 'group', 'groups', 'renamed, recolored, or removed')
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Drop tabs from a planned run so it neither closes nor groups them. Groups left empty disappear.
+ * @param {{ tabsToClose: Array<{ id: number }>, windows: Array<{ windowId: number, groups: Array<{ tabIds: number[] }> }> }} plan
+ * @param {Iterable<number>} tabIds
+ */
+export function omitPlanTabs(plan, tabIds) {
+  const omitted = new Set(tabIds);
+  return {
+    tabsToClose: plan.tabsToClose.filter((item) => !omitted.has(item.id)),
+    windows: plan.windows.map((entry) => ({
+      windowId: entry.windowId,
+      groups: entry.groups
+        .map((group) => pickGroupTabs(group, group.tabIds.filter((id) => !omitted.has(id))))
+        .filter((group) => group.tabIds.length > 0)
+    }))
+  };
+}
+
+export const LOCKED_GROUP_MARKER = '🔒';
+
+/**
+ * Normalize the list of locked group titles stored in preferences.
+ * @param {any} value
+ * @returns {string[]}
+ */
+export function normalizeLockedGroupTitles(value) {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  const titles = [];
+  for (const entry of value) {
+    if (typeof entry !== 'string') continue;
+    const title = entry.trim();
+    if (!title || seen.has(title.toLowerCase())) continue;
+    seen.add(title.toLowerCase());
+    titles.push(title);
+  }
+  return titles;
+}
+
+/**
+ * Check whether a tab group is locked, either by the 🔒 title convention or because the
+ * user locked its title from the popup.
+ * @param {string} title
+ * @param {string[]} [lockedTitles]
+ * @returns {boolean}
+ */
+export function isLockedGroupTitle(title, lockedTitles = []) {
+  const trimmed = typeof title === 'string' ? title.trim() : '';
+  if (!trimmed) return false;
+  if (trimmed.includes(LOCKED_GROUP_MARKER)) return true;
+  const lowered = trimmed.toLowerCase();
+  return lockedTitles.some((entry) => entry.toLowerCase() === lowered);
+}
+
+/**
+ * Normalize the list of excluded sites stored in preferences. Accepts an array or text with one
+ * entry per line.
+ * @param {any} value
+ * @returns {string[]}
+ */
+export function normalizeExcludedSites(value) {
+  const entries = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/\r?\n/) : [];
+  const seen = new Set();
+  const sites = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string') continue;
+    const site = entry.trim();
+    if (!site || seen.has(site.toLowerCase())) continue;
+    seen.add(site.toLowerCase());
+    sites.push(site);
+  }
+  return sites;
+}
+
+/**
+ * Build a matcher for tabs that must never be closed, regrouped, or sent to the LLM.
+ * An entry without a slash is a host and covers its subdomains (`bank.com`, `*.bank.com`). An entry
+ * with a slash is a URL prefix (`hr.example.com/payroll`) where `*` matches anything; the scheme is optional.
+ * @param {string[]} excludedSites
+ * @returns {(url: string|undefined) => boolean}
+ */
+export function createSiteExclusionMatcher(excludedSites = []) {
+  const patterns = excludedSites.map((site) => compileSitePattern(site)).filter(Boolean);
+  if (!patterns.length) {
+    return () => false;
+  }
+  return (url) => {
+    const parsed = safeUrl(url);
+    if (!parsed) return false;
+    const target = `${parsed.host}${parsed.pathname}${parsed.search}`;
+    return patterns.some((pattern) => pattern.test(target));
+  };
+}
+
+function compileSitePattern(site) {
+  const pattern = site.trim().replace(/^[a-z*]+:\/\//i, '');
+  const slash = pattern.indexOf('/');
+  const host = (slash === -1 ? pattern : pattern.slice(0, slash)).replace(/^\*?\./, '');
+  if (!host) return null;
+  const hostSource = escapeRegex(host).replace(/\\\*/g, '[^/]*');
+  const pathSource = slash === -1 ? '(?=[/?]|$)' : escapeRegex(pattern.slice(slash)).replace(/\\\*/g, '.*');
+  return new RegExp(`^(?:[^/]*\\.)?${hostSource}(?::\\d+)?${pathSource}`, 'i');
+}
+
+/**
+ * Describe the tab groups already present in a window so incremental runs can keep them as fixed buckets.
+ * @param {TabSnapshot[]} tabs
+ * @param {Array<{ id: number, title: string, color: string|null }>} groups
+ * @returns {Array<{ id: number, name: string, color: string|null, tabIds: number[] }>}
+ */
+export function describeExistingGroups(tabs, groups) {
+  const members = new Map();
+  for (const tab of tabs || []) {
+    if (!members.has(tab.groupId)) {
+      members.set(tab.groupId, []);
+    }
+    members.get(tab.groupId).push(tab.id);
+  }
+  return (groups || [])
+    .filter((group) => members.has(group.id))
+    .map((group) => ({
+      id: group.id,
+      name: (group.title || '').trim(),
+      color: group.color || null,
+      tabIds: members.get(group.id)
+    }));
+}
+
+/**
+ * Route planned groups into existing tab groups that share their title (case-insensitive).
+ * Matched groups gain `existingGroupId` and keep the existing name and color; tabs beyond the
+ * room left under `maxTabsPerGroup` go to a new numbered overflow group ("Docs (2)"), as the rules
+ * engine names them, so they are not mistaken for a second group of the same title.
+ * @template {{ name: string, tabIds: number[], color?: string|null, tabs?: Array<{ id: number }> }} T
+ * @param {T[]} plannedGroups
+ * @param {ReturnType<typeof describeExistingGroups>} existingGroups
+ * @param {number} maxTabsPerGroup
+ * @returns {Array<T & { existingGroupId?: number }>}
+ */
+export function attachToExistingGroups(plannedGroups, existingGroups, maxTabsPerGroup) {
+  if (!existingGroups || !existingGroups.length) {
+    return plannedGroups.slice();
+  }
+  const maxPerGroup = Math.max(2, Number(maxTabsPerGroup) || 6);
+  const byName = new Map();
+  const room = new Map();
+  for (const group of existingGroups) {
+    // Planned names pass through truncateLabel, so long titles are matched in their truncated form.
+    const key = truncateLabel(group.name).toLowerCase();
+    if (!key || byName.has(key)) continue;
+    byName.set(key, group);
+    room.set(group.id, Math.max(0, maxPerGroup - group.tabIds.length));
+  }
+
+  const takenNames = new Set(
+    [...existingGroups, ...plannedGroups].map((group) => truncateLabel(group.name).toLowerCase())
+  );
+  const nameOverflow = (name) => {
+    const base = name.replace(/\s+\(\d+\)$/, '');
+    let part = 2;
+    while (takenNames.has(`${base} (${part})`.toLowerCase())) {
+      part += 1;
+    }
+    takenNames.add(`${base} (${part})`.toLowerCase());
+    return `${base} (${part})`;
+  };
+
+  const result = [];
+  for (const group of plannedGroups) {
+    const existing = byName.get(truncateLabel(group.name).toLowerCase());
+    if (!existing) {
+      result.push(group);
+      continue;
+    }
+    const available = room.get(existing.id);
+    const joining = group.tabIds.slice(0, available);
+    const overflow = group.tabIds.slice(available);
+    room.set(existing.id, available - joining.length);
+    if (joining.length) {
+      result.push(pickGroupTabs({ ...group, name: existing.name, color: existing.color, existingGroupId: existing.id }, joining));
+    }
+    if (overflow.length) {
+      result.push(pickGroupTabs({ ...group, name: nameOverflow(existing.name) }, overflow));
+    }
+  }
+  return result;
+}
+
+/**
+ * Copy a planned group restricted to the given tab ids, keeping any tab details in sync.
+ * @template {{ tabIds: number[], tabs?: Array<{ id: number }> }} T
+ * @param {T} group
+ * @param {number[]} tabIds
+ * @returns {T}
+ */
+function pickGroupTabs(group, tabIds) {
+  const picked = { ...group, tabIds };
+  if (Array.isArray(group.tabs)) {
+    const keep = new Set(tabIds);
+    picked.tabs = group.tabs.filter((tab) => keep.has(tab.id));
+  }
+  return picked;
+}
+
+/**
+ * Decide which window each group should be gathered into when consolidating windows.
+ * Groups that share a base name (e.g. "Docs" and "Docs (2)") travel together. Without a
+ * target window, each family claims the window that already holds most of its tabs, and
+ * families whose best windows are taken get a new window (`windowId: null`). A family that joins
+ * an existing tab group is gathered into that group's window, target window or not.
+ * @param {Array<{ name: string, tabIds: number[], color?: string|null, existingGroupId?: number }>} groups
+ * @param {TabSnapshot[]} tabs
+ * @param {{ targetWindowId?: number, existingGroupWindows?: Map<number, number> }} [options]
+ * @returns {Array<{
+ *   key: string,
+ *   windowId: number|null,
+ *   groups: Array<{ name: string, tabIds: number[], color?: string|null, existingGroupId?: number }>,
+ *   tabIds: number[],
+ *   moveTabIds: number[]
+ * }>}
+ */
+export function planWindowConsolidation(groups, tabs, options = {}) {
+  const tabLookup = new Map(tabs.map((tab) => [tab.id, tab]));
+  const families = new Map();
+  for (const group of groups || []) {
+    if (!group || !Array.isArray(group.tabIds) || !group.tabIds.length) continue;
+    const key = group.name.replace(/\s+\(\d+\)$/, '');
+    if (!families.has(key)) {
+      families.set(key, { key, groups: [], tabIds: [] });
+    }
+    const family = families.get(key);
+    family.groups.push(group);
+    family.tabIds.push(...group.tabIds.filter((id) => tabLookup.has(id)));
+  }
+
+  const ordered = Array.from(families.values())
+    .filter((family) => family.tabIds.length > 0)
+    .sort((a, b) => b.tabIds.length - a.tabIds.length || a.key.localeCompare(b.key));
+  const hasTarget = Number.isInteger(options.targetWindowId);
+  const existingGroupWindows = options.existingGroupWindows || new Map();
+  const anchors = new Map();
+  for (const family of ordered) {
+    const anchor = family.groups.map((group) => existingGroupWindows.get(group.existingGroupId)).find(Number.isInteger);
+    if (anchor !== undefined) {
+      anchors.set(family.key, anchor);
+    }
+  }
+  const claimed = new Set(anchors.values());
+  const destinations = [];
+
+  for (const family of ordered) {
+    let windowId = hasTarget ? options.targetWindowId : null;
+    if (anchors.has(family.key)) {
+      windowId = anchors.get(family.key);
+    } else if (!hasTarget) {
+      const counts = new Map();
+      for (const id of family.tabIds) {
+        const windowKey = tabLookup.get(id).windowId;
+        counts.set(windowKey, (counts.get(windowKey) || 0) + 1);
+      }
+      const candidates = Array.from(counts.entries())
+        .filter(([candidateId]) => !claimed.has(candidateId))
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+      if (candidates.length) {
+        windowId = candidates[0][0];
+        claimed.add(windowId);
+      }
+    }
+    destinations.push({
+      key: family.key,
+      windowId,
+      groups: family.groups,
+      tabIds: family.tabIds,
+      moveTabIds: family.tabIds.filter((id) => tabLookup.get(id).windowId !== windowId)
+    });
+  }
+
+  return destinations;
+}
+
 /**
  * Create a short human-friendly preview description of a dedupe/group plan.
+ * When `windows` is supplied the groups are also broken down per window, together with the tabs
+ * the plan leaves out of every group so the preview can still move them into one.
  * @param {{
  *  tabsToClose: Array<{id:number,title:string,url:string,reason:string}>,
  *  grouping: { groups: Array<{name: string, tabIds: number[]}> },
  *  tabLookup: Map<number, TabSnapshot>,
- *  notes?: string
+ *  notes?: string,
+ *  preservePinned?: boolean,
+ *  windows?: Array<{ windowId: number, label: string, grouping: { groups: Array<{name: string, tabIds: number[]}> }, preservedGroupIds?: number[] }>
  * }} plan
- * @returns {{closing: Array<{title: string, url: string}>, groups: Array<{name: string, tabs: Array<{title: string, url: string}>}>, notes?: string}}
+ * @returns {{
+ *  closing: Array<{title: string, url: string}>,
+ *  groups: Array<{name: string, tabs: Array<{title: string, url: string}>}>,
+ *  notes?: string,
+ *  windows?: Array<{ windowId: number, label: string, closing: Array<{title: string, url: string}>, groups: Array<{name: string, tabs: Array<{title: string, url: string}>}>, ungrouped: Array<{id: number, title: string, url: string}> }>
+ * }}
  */
 export function summarizePlanForPreview(plan) {
-  const closing = plan.tabsToClose.map((item) => ({ title: item.title, url: item.url }));
-  const groups = [];
-  for (const group of plan.grouping.groups) {
-    const tabs = group.tabIds
-      .map((id) => plan.tabLookup.get(id))
-      .filter(Boolean)
-      .map((tab) => ({ title: tab.title, url: tab.url }));
-    groups.push({ name: group.name, tabs });
+  const closing = plan.tabsToClose.map((item) => ({ id: item.id, title: item.title, url: item.url }));
+  const groups = summarizeGroups(plan.grouping.groups, plan.tabLookup);
+  const summary = { closing, groups, notes: plan.notes };
+  if (Array.isArray(plan.windows)) {
+    summary.windows = plan.windows.map((entry) => ({
+      windowId: entry.windowId,
+      label: entry.label,
+      closing: plan.tabsToClose
+        .filter((item) => {
+          const tab = plan.tabLookup.get(item.id);
+          return tab && tab.windowId === entry.windowId;
+        })
+        .map((item) => ({ id: item.id, title: item.title, url: item.url })),
+      groups: summarizeGroups(entry.grouping.groups, plan.tabLookup),
+      ungrouped: listUngroupedPlanTabs(
+        Array.from(plan.tabLookup.values()).filter((tab) => tab.windowId === entry.windowId),
+        entry.grouping.groups,
+        plan.tabsToClose,
+        { preservePinned: plan.preservePinned, preservedGroupIds: entry.preservedGroupIds }
+      )
+    }));
   }
-  return { closing, groups, notes: plan.notes };
+  return summary;
+}
+
+/**
+ * List the tabs of one window that a plan leaves out of every group. Tabs being closed, pinned
+ * tabs when they are preserved, and tabs staying in a preserved tab group are not listed.
+ * @param {TabSnapshot[]} windowTabs
+ * @param {Array<{ tabIds: number[] }>} groups
+ * @param {Array<{ id: number }>} tabsToClose
+ * @param {{ preservePinned?: boolean, preservedGroupIds?: number[] }} [options]
+ * @returns {Array<{ id: number, title: string, url: string }>}
+ */
+export function listUngroupedPlanTabs(windowTabs, groups, tabsToClose, options = {}) {
+  const excluded = new Set([...groups.flatMap((group) => group.tabIds), ...tabsToClose.map((item) => item.id)]);
+  const preservedGroupIds = new Set(options.preservedGroupIds || []);
+  return windowTabs
+    .filter((tab) => !excluded.has(tab.id))
+    .filter((tab) => !(options.preservePinned !== false && tab.pinned))
+    .filter((tab) => !preservedGroupIds.has(tab.groupId))
+    .map((tab) => ({ id: tab.id, title: tab.title, url: tab.url }));
+}
+
+/**
+ * Resolve group tab ids into preview-friendly titles and URLs.
+ * @param {Array<{name: string, tabIds: number[], existingGroupId?: number}>} groups
+ * @param {Map<number, TabSnapshot>} tabLookup
+ * @returns {Array<{name: string, color: string|null, existing: boolean, existingGroupId?: number, tabs: Array<{id: number, title: string, url: string}>}>}
+ */
+function summarizeGroups(groups, tabLookup) {
+  return groups.map((group) => ({
+    name: group.name,
+    color: group.color || null,
+    existing: Number.isInteger(group.existingGroupId),
+    existingGroupId: group.existingGroupId,
+    tabs: group.tabIds
+      .map((id) => tabLookup.get(id))
+      .filter(Boolean)
+      .map((tab) => ({ id: tab.id, title: tab.title, url: tab.url }))
+  }));
 }
 
 /**
@@ -2700,6 +3498,74 @@ function matchCompiledRule(rules, tabInfo) {
   }
   return null;
 }
+/**
+ * Classify a single tab with the user rules and the built-in catalog, as used by live sorting.
+ * Only rule matches count; keyword scores are too weak to move a tab without a preview.
+ * @param {TabSnapshot|chrome.tabs.Tab} tab
+ * @param {ReturnType<typeof parseUserRulesJSON>} [userRules]
+ * @returns {{ name: string, color: string|null, rule: string, method: 'user-rule'|'rule' } | null}
+ */
+export function classifyTabByRules(tab, userRules = []) {
+  const [snapshot] = ensureSnapshots([tab]);
+  return classifyTabInfoByRules(prepareTabForClassification(snapshot), compileUserRules(userRules));
+}
+
+/**
+ * Split tabs for the hybrid organizer into those a user rule or a built-in site pattern places
+ * with confidence and the leftovers, which only keyword scoring or the Other bucket would place.
+ * @template {TabSnapshot|chrome.tabs.Tab} T
+ * @param {T[]} tabs
+ * @param {ReturnType<typeof parseUserRulesJSON>} [userRules]
+ * Each matched tab comes with the match `classifyTabByRules` would return for it.
+ * @returns {{ matched: Array<{ tab: T, match: NonNullable<ReturnType<typeof classifyTabByRules>> }>, leftovers: T[] }}
+ */
+export function partitionTabsByRuleMatch(tabs, userRules = []) {
+  const compiledUserRules = compileUserRules(userRules);
+  const snapshots = ensureSnapshots(tabs);
+  const matched = [];
+  const leftovers = [];
+  tabs.forEach((tab, index) => {
+    const match = classifyTabInfoByRules(prepareTabForClassification(snapshots[index]), compiledUserRules);
+    if (match) {
+      matched.push({ tab, match });
+    } else {
+      leftovers.push(tab);
+    }
+  });
+  return { matched, leftovers };
+}
+
+function classifyTabInfoByRules(info, compiledUserRules) {
+  const userMatch = matchCompiledRule(compiledUserRules, info);
+  if (userMatch) {
+    return { name: userMatch.name, color: userMatch.color || null, rule: userMatch.ruleName, method: 'user-rule' };
+  }
+  const catalogMatch = matchCategoryRule(info);
+  if (!catalogMatch) return null;
+  const category = normalizeCategoryName(catalogMatch.category || catalogMatch.name);
+  if (category === 'Other') return null;
+  return {
+    name: category,
+    color: catalogMatch.color || CATEGORY_COLOR_MAP.get(category) || null,
+    rule: catalogMatch.ruleName,
+    method: 'rule'
+  };
+}
+
+/**
+ * Check whether a tab group title belongs to a planned group name, counting the numbered
+ * overflow groups ("Docs (2)") that the rules engine creates for full groups.
+ * @param {string} title
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function groupTitleMatchesName(title, name) {
+  const normalizedTitle = (title || '').trim().toLowerCase();
+  const normalizedName = (name || '').trim().toLowerCase();
+  if (!normalizedTitle || !normalizedName) return false;
+  return normalizedTitle.replace(/\s+\(\d+\)$/, '') === normalizedName;
+}
+
 export function groupByRules(tabs, options = {}) {
   let opts = options;
   let userRulesInput = [];
@@ -2798,6 +3664,56 @@ export function groupByRules(tabs, options = {}) {
   return finalGroups;
 }
 
+const MERGE_REASON_LABELS = Object.freeze({
+  overflow: 'more categories were found than the window can hold',
+  small: 'it was the only tab in its group',
+  limit: 'the window reached its group limit'
+});
+
+/**
+ * List the steps that placed a tab in its group: the rule or keywords that matched, then every merge.
+ * @param {ReturnType<typeof explainClassification>} diagnostic
+ * @returns {string[]}
+ */
+export function describeClassificationSteps(diagnostic) {
+  if (!diagnostic) {
+    return ['The rules engine has no record of this tab.'];
+  }
+  if (diagnostic.reason === 'pinned') {
+    return ['Pinned tabs stay out of groups.'];
+  }
+
+  let match;
+  if (diagnostic.reason === 'rule') {
+    match = `Matched your custom rule “${diagnostic.rule || diagnostic.group}”`;
+  } else if (diagnostic.reason === 'category-rule') {
+    match = diagnostic.rule ? `Matched the built-in “${diagnostic.rule}” site pattern` : 'Matched a built-in site pattern';
+  } else if (diagnostic.keywords && diagnostic.keywords.length) {
+    const keywords = diagnostic.keywords.slice(0, 5).map((keyword) => `“${keyword}”`).join(', ');
+    match = `Keywords ${keywords} scored ${diagnostic.score}`;
+  } else {
+    match = 'No rule or keyword matched';
+  }
+
+  const merges = diagnostic.merge || [];
+  const firstGroup = merges.length ? merges[0].from : diagnostic.group;
+  const steps = [`${match}, so it belongs in ${firstGroup}.`];
+  for (const step of merges) {
+    const because = MERGE_REASON_LABELS[step.reason] || step.reason;
+    steps.push(`Moved from ${step.from} to ${step.to}${because ? ` because ${because}` : ''}.`);
+  }
+  return steps;
+}
+
+/**
+ * Turn a classification diagnostic from `groupByRules` into a sentence for people.
+ * @param {ReturnType<typeof explainClassification>} diagnostic
+ * @returns {string}
+ */
+export function formatClassificationDiagnostic(diagnostic) {
+  return describeClassificationSteps(diagnostic).join(' ');
+}
+
 export function explainClassification(tab) {
   const id = typeof tab === 'number' ? tab : tab && typeof tab === 'object' ? tab.id : null;
   if (typeof id !== 'number') return null;
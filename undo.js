@@ -0,0 +1,211 @@
+/**
+ * Capture and restore window layouts so organizer runs can be undone.
+ * @module undo
+ */
+
+const UNDO_STORAGE_KEY = 'undoSnapshot';
+const TAB_GROUP_ID_NONE =
+  chrome.tabGroups && typeof chrome.tabGroups.TAB_GROUP_ID_NONE === 'number'
+    ? chrome.tabGroups.TAB_GROUP_ID_NONE
+    : -1;
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   url: string,
+ *   title: string,
+ *   pinned: boolean,
+ *   index: number,
+ *   groupId: number
+ * }} UndoTabRecord
+ *
+ * @typedef {{
+ *   id: number,
+ *   title: string,
+ *   color: string,
+ *   collapsed: boolean
+ * }} UndoGroupRecord
+ *
+ * @typedef {{
+ *   label: string,
+ *   createdAt: number,
+ *   windows: Array<{ windowId: number, tabs: UndoTabRecord[], groups: UndoGroupRecord[] }>
+ * }} UndoSnapshot
+ */
+
+/**
+ * Record the tabs and tab groups of the given windows before they are mutated.
+ * @param {number[]} windowIds
+ * @param {string} label
+ * @returns {Promise<UndoSnapshot>}
+ */
+export async function captureWindowSnapshot(windowIds, label) {
+  const windows = [];
+  for (const windowId of new Set(windowIds)) {
+    const tabs = await chrome.tabs.query({ windowId });
+    const groups = await chrome.tabGroups.query({ windowId });
+    windows.push({
+      windowId,
+      tabs: tabs
+        .filter((tab) => typeof tab.id === 'number')
+        .sort((a, b) => a.index - b.index)
+        .map((tab) => ({
+          id: tab.id,
+          url: tab.url || tab.pendingUrl || '',
+          title: typeof tab.title === 'string' ? tab.title : '',
+          pinned: Boolean(tab.pinned),
+          index: tab.index,
+          groupId: typeof tab.groupId === 'number' ? tab.groupId : TAB_GROUP_ID_NONE
+        })),
+      groups: groups.map((group) => ({
+        id: group.id,
+        title: group.title || '',
+        color: group.color,
+        collapsed: Boolean(group.collapsed)
+      }))
+    });
+  }
+  return { label, createdAt: Date.now(), windows };
+}
+
+/**
+ * Persist the snapshot that the next undo request will restore.
+ * @param {UndoSnapshot} snapshot
+ */
+export async function saveUndoSnapshot(snapshot) {
+  await chrome.storage.local.set({ [UNDO_STORAGE_KEY]: snapshot });
+}
+
+/**
+ * Load the most recent undo snapshot, if any.
+ * @returns {Promise<UndoSnapshot|null>}
+ */
+export async function loadUndoSnapshot() {
+  const stored = await chrome.storage.local.get({ [UNDO_STORAGE_KEY]: null });
+  const snapshot = stored[UNDO_STORAGE_KEY];
+  return snapshot && Array.isArray(snapshot.windows) ? snapshot : null;
+}
+
+/**
+ * Forget the stored undo snapshot.
+ */
+export async function clearUndoSnapshot() {
+  await chrome.storage.local.remove(UNDO_STORAGE_KEY);
+}
+
+/**
+ * Reopen closed tabs and rebuild the recorded order and tab groups.
+ * @param {UndoSnapshot} snapshot
+ * @returns {Promise<{ reopenedCount: number, groupCount: number, failedCount: number }>}
+ */
+export async function restoreUndoSnapshot(snapshot) {
+  const liveTabs = await chrome.tabs.query({});
+  const liveById = new Map(liveTabs.map((tab) => [tab.id, tab]));
+  let reopenedCount = 0;
+  let groupCount = 0;
+  let failedCount = 0;
+
+  for (const windowRecord of snapshot.windows) {
+    const { windowId, placeholderTabId } = await resolveTargetWindow(windowRecord.windowId);
+    const restoredIds = new Map();
+
+    for (const record of windowRecord.tabs) {
+      const live = liveById.get(record.id);
+      if (live) {
+        restoredIds.set(record.id, live.id);
+        continue;
+      }
+      if (!record.url) {
+        failedCount += 1;
+        continue;
+      }
+      try {
+        const created = await chrome.tabs.create({ windowId, url: record.url, pinned: record.pinned, active: false });
+        restoredIds.set(record.id, created.id);
+        reopenedCount += 1;
+      } catch (error) {
+        console.warn('Failed to reopen tab during undo', record.url, error);
+        failedCount += 1;
+      }
+    }
+
+    const groupedIds = [];
+    for (const record of windowRecord.tabs) {
+      const tabId = restoredIds.get(record.id);
+      const live = liveById.get(record.id);
+      if (typeof tabId === 'number' && live && live.groupId !== TAB_GROUP_ID_NONE) {
+        groupedIds.push(tabId);
+      }
+    }
+    if (groupedIds.length) {
+      try {
+        await chrome.tabs.ungroup(groupedIds);
+      } catch (error) {
+        console.warn('Failed to ungroup tabs during undo', error);
+      }
+    }
+
+    let targetIndex = 0;
+    for (const record of windowRecord.tabs) {
+      const tabId = restoredIds.get(record.id);
+      if (typeof tabId !== 'number') continue;
+      try {
+        const live = liveById.get(record.id);
+        if (live && Boolean(live.pinned) !== record.pinned) {
+          await chrome.tabs.update(tabId, { pinned: record.pinned });
+        }
+        await chrome.tabs.move(tabId, { windowId, index: targetIndex });
+        targetIndex += 1;
+      } catch (error) {
+        console.warn('Failed to move tab during undo', tabId, error);
+      }
+    }
+
+    for (const group of windowRecord.groups) {
+      const tabIds = windowRecord.tabs
+        .filter((record) => record.groupId === group.id && restoredIds.has(record.id))
+        .map((record) => restoredIds.get(record.id));
+      if (!tabIds.length) continue;
+      try {
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+        const updatePayload = { title: group.title, collapsed: group.collapsed };
+        if (group.color) {
+          updatePayload.color = group.color;
+        }
+        await chrome.tabGroups.update(groupId, updatePayload);
+        groupCount += 1;
+      } catch (error) {
+        console.warn('Failed to restore tab group during undo', group, error);
+      }
+    }
+
+    if (typeof placeholderTabId === 'number' && restoredIds.size) {
+      try {
+        await chrome.tabs.remove(placeholderTabId);
+      } catch (error) {
+        console.warn('Failed to remove placeholder tab after undo', error);
+      }
+    }
+  }
+
+  return { reopenedCount, groupCount, failedCount };
+}
+
+/**
+ * Reuse the recorded window when it still exists, otherwise open a replacement.
+ * @param {number} windowId
+ * @returns {Promise<{ windowId: number, placeholderTabId?: number }>}
+ */
+async function resolveTargetWindow(windowId) {
+  try {
+    const existing = await chrome.windows.get(windowId);
+    if (existing && typeof existing.id === 'number') {
+      return { windowId: existing.id };
+    }
+  } catch (error) {
+    // The window was closed since the snapshot; fall through and recreate it.
+  }
+  const created = await chrome.windows.create({ focused: false });
+  const placeholder = Array.isArray(created.tabs) && created.tabs.length ? created.tabs[0] : null;
+  return { windowId: created.id, placeholderTabId: placeholder ? placeholder.id : undefined };
+}